@@ -7,8 +7,9 @@
     // State management
     const state = {
         mobileNavOpen: false,
-        currentModalId: null,
+        modalStack: [],
         isSubmitting: false,
+        wizard: { step: 0 },
         focusableSelectors: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
         sections: ['hero', 'services', 'portfolio', 'pricing', 'faq', 'contact']
     };
@@ -106,6 +107,38 @@
             }
         },
 
+        // Load an external script once, resolving when it has executed
+        loadScript: (src, attributes = {}) => {
+            const existing = utils.$(`script[src="${src}"]`);
+            if (existing && existing.dataset.loaded === 'true') return Promise.resolve();
+
+            return new Promise((resolve, reject) => {
+                const script = existing || document.createElement('script');
+
+                script.addEventListener('load', () => {
+                    script.dataset.loaded = 'true';
+                    resolve();
+                }, { once: true });
+                script.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)), { once: true });
+
+                if (!existing) {
+                    Object.keys(attributes).forEach(name => script.setAttribute(name, attributes[name]));
+                    script.src = src;
+                    script.async = true;
+                    document.head.appendChild(script);
+                }
+            });
+        },
+
+        // Reject if a promise takes longer than `ms`
+        withTimeout: (promise, ms, message = 'Timed out') => {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(message)), ms);
+            });
+            return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+        },
+
         // Animate element with proper reduced motion support
         animateElement: (element, animationClass, duration = 600) => {
             if (!element || utils.prefersReducedMotion()) return;
@@ -117,6 +150,571 @@
         }
     };
 
+    // Internationalization Module
+    // English ships inline; Arabic and Sorani Kurdish catalogs are fetched
+    // from locales/<lang>.json when first needed. Markup opts in with
+    // data-i18n="key" (text) and data-i18n-attr="attr:key, attr:key"; the
+    // English for keys only the markup uses is read from the markup itself.
+    // Anything without a translation falls back to English. The <head>
+    // snippet hides [data-i18n] until a non-English catalog is applied (max 3s).
+    const i18n = {
+        storageKey: 'armanleads:lang',
+        loadTimeout: 3000,
+        lang: 'en',
+        languages: {
+            en: { locale: 'en', dir: 'ltr' },
+            ar: { locale: 'ar-IQ', dir: 'rtl' },
+            ckb: { locale: 'ckb-IQ', dir: 'rtl' }
+        },
+        catalogs: {
+            en: {
+                'skip': 'Skip to content',
+                'nav.services': 'How I Work',
+                'nav.portfolio': 'Audit Samples',
+                'nav.pricing': 'Investment',
+                'nav.faq': 'FAQ',
+                'nav.cta': 'Free Audit',
+                'nav.toggle': 'Toggle navigation menu',
+                'nav.language': 'Language',
+                'nav.back_to_top': 'Back to top',
+                'theme.auto': 'Auto',
+                'theme.light': 'Light',
+                'theme.dark': 'Dark',
+                'theme.contrast': 'High contrast',
+                'theme.toggle': 'Theme: {mode}. Switch to {next}',
+                'hero.badge': 'Performance Marketing Specialist',
+                'hero.title': 'Get 15+ New Customers Monthly Without Guesswork',
+                'hero.subtitle': 'I help dentists, gyms, and local service businesses fill their calendars using Facebook ads, high-converting landing pages, and follow-up systems that actually work.',
+                'hero.title_patients': 'Get 15+ New Patients Monthly Without Guesswork',
+                'hero.title_members': 'Get 15+ New Members Monthly Without Guesswork',
+                'hero.title_clients': 'Get 15+ New Clients Monthly Without Guesswork',
+                'hero.title_jobs': 'Get 15+ New Jobs Monthly Without Guesswork',
+                'hero.subtitle_dental': 'I help dental practices fill their chairs using Facebook ads, new-patient landing pages, and follow-up systems that turn enquiries into booked appointments.',
+                'hero.subtitle_chiropractic': 'I help chiropractic clinics book more first visits using Facebook ads, simple booking pages, and follow-up that keeps new patients coming back.',
+                'hero.subtitle_medical': 'I help medical practices attract the right patients using compliant Facebook ads, focused landing pages, and follow-up systems that reduce no-shows.',
+                'hero.subtitle_fitness': 'I help gyms and fitness studios fill their classes using Facebook ads, free-trial landing pages, and follow-up that turns trials into memberships.',
+                'hero.subtitle_salon': 'I help salons and spas fill their books using Instagram and Facebook ads, easy booking pages, and reminders that cut no-shows.',
+                'hero.subtitle_contractor': 'I help home service businesses and contractors get a steady flow of quote requests using Facebook ads, lead forms, and fast follow-up systems.',
+                'hero.cta_audit': 'Get Free Marketing Audit',
+                'hero.cta_call': 'Book a Call',
+                'hero.note': 'Detailed 7-page audit delivered in 24 hours',
+                'hero.stat_campaigns': 'Campaigns Launched',
+                'hero.stat_roas': 'Average ROAS',
+                'hero.stat_delivery': 'Audit Delivery',
+                'services.title': 'How I Work With You',
+                'services.subtitle': 'A systematic approach that gets results in 30-90 days',
+                'deliverables.title': 'What You Get',
+                'deliverables.subtitle': 'Complete marketing system, not just ads',
+                'portfolio.title': 'Audit Samples: Before → After',
+                'portfolio.subtitle': 'Real problems I\'ve identified and how I\'d fix them',
+                'portfolio.findings_title': 'Finding by finding',
+                'portfolio.finding_before': 'What I found',
+                'portfolio.finding_after': 'What I\'d change',
+                'portfolio.finding_why': 'Why it matters',
+                'portfolio.filter_all': 'All samples',
+                'portfolio.carousel_label': 'Audit samples',
+                'portfolio.slide': 'slide',
+                'portfolio.slide_label': '{index} of {total}',
+                'portfolio.carousel_status': 'Sample {index} of {total}',
+                'portfolio.view_detail': 'View full audit',
+                'portfolio.view_detail_label': 'View full audit: {title}',
+                'portfolio.detail_title': 'Audit sample',
+                'comparison.view': 'Comparison view',
+                'comparison.slide': 'Slide',
+                'comparison.toggle': 'Toggle',
+                'comparison.before': 'Before',
+                'comparison.after': 'After',
+                'comparison.versus': '{before} versus {after}',
+                'comparison.show': 'Show {label}',
+                'comparison.position': '{before}% before, {after}% after',
+                'about.title': 'About Arman',
+                'pricing.title': 'Investment',
+                'pricing.subtitle': 'Transparent pricing, paid in milestones',
+                'pricing.currency_label': 'Show prices in',
+                'currency.group_note': '≈ Approximate amounts in {currency}',
+                'currency.billed_as': 'Billed as {amount} USD',
+                'currency.rates_note': 'Estimates using exchange rates as of {date}. All invoices are billed in US dollars.',
+                'currency.rates_note_undated': 'Estimates using the latest exchange rates. All invoices are billed in US dollars.',
+                'roi.summary': 'About {leads} leads and {customers} new customers a month, {revenue} in revenue for {total} total investment.',
+                'roi.copy_prompt': 'Copy this link:',
+                'roi.link_copied': 'Link copied',
+                'faq.title': 'Frequently Asked Questions',
+                'faq.subtitle': 'Real concerns from business owners',
+                'faq.no_results': 'No questions match your search. Try another word, or ask me directly below.',
+                'faq.results_one': '{count} question found',
+                'faq.results_other': '{count} questions found',
+                'contact.title': 'Get Your Free Marketing Audit',
+                'contact.subtitle': 'Tell me about your business and I\'ll send you a detailed 7-page analysis showing exactly what to fix',
+                'contact.greeting': 'Hi Arman!',
+                'wizard.step_business': 'Business',
+                'wizard.step_marketing': 'Marketing',
+                'wizard.step_goals': 'Goals',
+                'wizard.step_contact': 'Contact',
+                'wizard.step_review': 'Review',
+                'wizard.legend_business': 'Business basics',
+                'wizard.legend_marketing': 'Current marketing & ad spend',
+                'wizard.legend_goals': 'Goals & capacity',
+                'wizard.legend_contact': 'Where should I send your audit?',
+                'wizard.legend_review': 'Review & send',
+                'wizard.status': 'Step {step} of {total}: {title}',
+                'wizard.back': 'Back',
+                'wizard.next': 'Next',
+                'form.business_type': 'Business Type',
+                'form.business_name': 'Business Name (Optional)',
+                'form.location': 'City / Area (Optional)',
+                'form.website': 'Website URL (Optional)',
+                'form.current_marketing': 'Where do most new customers come from today?',
+                'form.ad_spend': 'Current Monthly Ad Spend',
+                'form.message': 'What\'s your biggest marketing challenge? (Optional)',
+                'form.goal': 'Main Goal for the Next 90 Days',
+                'form.capacity': 'New Customers You Can Handle Monthly',
+                'form.timeline': 'When Do You Want to Start?',
+                'form.name': 'Your Name',
+                'form.email': 'Email Address',
+                'form.submit': 'Send My Free Audit',
+                'form.sending': 'Sending...',
+                'form.sent': 'Request sent',
+                'form.optional': 'Optional',
+                'form.review_edit': 'Edit',
+                'form.review_edit_label': 'Edit {section}',
+                'form.review_empty': 'Not provided',
+                'form.alt_contact_intro': 'Hi Arman, I tried to request a free marketing audit on your site:',
+                'form.alt_contact_subject': 'Free Marketing Audit Request',
+                'form.loading': 'Sending your request...',
+                'form.success_title': 'Perfect! Your audit is on the way',
+                'form.queued_title': 'You\'re offline - your request is queued',
+                'form.queued_text': 'Your audit request is saved on this device and will send automatically when you\'re back online. No need to fill in the form again.',
+                'form.queued_title_network': 'Couldn\'t reach the server - your request is queued',
+                'form.queued_title_server': 'The server is having trouble - your request is queued',
+                'form.queued_text_retry': 'Your audit request is saved on this device and will be retried automatically over the next few minutes. No need to fill in the form again.',
+                'form.handoff_title': 'Almost there - press send in your email app',
+                'form.handoff_text': 'Your email app should have opened with your audit request filled in - press send there to finish. Your answers are still in this form, so nothing is lost if it didn\'t open.',
+                'form.error_title': 'Your request didn\'t go through',
+                'form.retry': 'Try again',
+                'form.send_whatsapp': 'Send via WhatsApp',
+                'form.send_email': 'Send via email',
+                'draft.label': 'Saved draft',
+                'draft.prompt': 'You have an unfinished audit request from {time}. Pick up where you left off?',
+                'draft.restore': 'Restore my draft',
+                'draft.discard': 'Start fresh',
+                'booking.confirm': 'Confirm booking',
+                'booking.handoff_title': 'Almost there - send the email to request {time}',
+                'booking.handoff_text': 'Your email app should have opened with your booking request. The time is only held once that email is sent and I reply with an invite.',
+                'booking.timezone_local': 'Times are shown in your time zone ({zone}). I work on Iraq time (GMT+3).',
+                'booking.timezone_selected': 'Times are shown in the selected time zone ({zone}). I work on Iraq time (GMT+3).',
+                'booking.show_times_in': 'Show times in',
+                'booking.detected_zone': '{zone} (detected)',
+                'booking.home_time': '{time} Iraq',
+                'booking.confirm_title': 'Confirm your call',
+                'booking.summary': '{local} your time ({home} in Iraq), {minutes} minutes',
+                'booking.back': 'Pick another time',
+                'booking.failed': 'Booking failed, please try again or message me directly',
+                'booking.booked_title': 'You\'re booked for {time}',
+                'booking.booked_text': 'I\'ll confirm by email shortly with a calendar invite and call link.',
+                'booking.booked_queued': 'You seem to be offline, so your booking is saved on this device and will send automatically once you\'re back online.',
+                'booking.embed_title': 'Book a strategy call',
+                'booking.mail_subject': 'Strategy Call Booking',
+                'error.network': 'We couldn\'t reach the server. Check your connection and try again, or contact me directly below.',
+                'error.validation': 'Some of your details were rejected by the server. Please check the form and try again.',
+                'error.rate-limited': 'Too many requests were sent from this connection. Please wait a minute and try again.',
+                'error.spam-blocked': 'Your request was flagged by our spam filter. Please contact me directly on WhatsApp or email instead.',
+                'error.server': 'Something went wrong on our end. Please try again, or contact me directly below.',
+                'error.queue-dropped': 'Your saved request couldn\'t be sent after several tries. Send it again below, or contact me directly.',
+                'validation.required': 'This field is required',
+                'validation.minLength': 'Please enter at least {value} characters',
+                'validation.maxLength': 'Please enter no more than {value} characters',
+                'validation.pattern': 'Please match the requested format',
+                'validation.email': 'Please enter a valid email address',
+                'validation.url': 'Please enter a valid URL (include http:// or https://)',
+                'validation.custom': 'Please check this field',
+                'validation.server': 'Invalid input',
+                'validation.name.required': 'Please enter your name',
+                'validation.name.minLength': 'Name must be at least 2 characters',
+                'validation.email.required': 'Please enter your email address',
+                'validation.business_type.required': 'Please select your business type',
+                'validation.ad_spend.required': 'Please select your current monthly ad spend',
+                'validation.message.maxLength': 'Message is too long (maximum 2000 characters)',
+                'validation.goal.required': 'Please select your main goal',
+                'consent.manage': 'Manage',
+                'consent.reject': 'Essential only',
+                'consent.accept': 'Accept all',
+                'consent.banner_label': 'Cookie consent',
+                'consent.banner_text': 'I use essential cookies to run this site. With your permission I\'d also like to use analytics cookies to see what\'s working, and marketing cookies to measure ads.',
+                'consent.policy_link': 'Read the cookie policy',
+                'consent.preferences_title': 'Cookie Preferences',
+                'consent.signal': 'Your browser sends a Global Privacy Control or Do Not Track signal, so optional cookies are off unless you switch them on here.',
+                'consent.essential': 'Essential',
+                'consent.essential_text': 'Needed for the contact form, booking and saved preferences like currency. Always on.',
+                'consent.analytics': 'Analytics',
+                'consent.analytics_text': 'Anonymous usage statistics (Google Analytics, Plausible) that show which pages and sections help visitors.',
+                'consent.marketing': 'Marketing',
+                'consent.marketing_text': 'The Meta Pixel, used to measure whether my own ads bring in enquiries.',
+                'consent.save': 'Save preferences',
+                'footer.privacy': 'Privacy Policy',
+                'footer.terms': 'Terms of Service',
+                'footer.manage_cookies': 'Manage Cookies'
+            }
+        },
+
+        get locale() {
+            return this.languages[this.lang].locale;
+        },
+
+        get dir() {
+            return this.languages[this.lang].dir;
+        },
+
+        async init() {
+            try {
+                // Pages without a switcher (the legal pages) are English-only
+                this.switcher = utils.$('[data-language-switcher]');
+                if (!this.switcher) return;
+
+                this.harvest();
+                this.bindEvents();
+
+                const lang = this.detect();
+                if (lang !== 'en') {
+                    await this.setLanguage(lang, { persist: false });
+                } else {
+                    this.updateSwitcher();
+                }
+            } finally {
+                document.documentElement.classList.remove('i18n-pending');
+            }
+        },
+
+        // Copy that only the markup uses keeps its English in the markup;
+        // record it so switching back to English can restore it
+        harvest() {
+            const english = this.catalogs.en;
+            const roots = [document].concat(utils.$$('template').map(template => template.content));
+
+            roots.forEach(root => {
+                utils.$$('[data-i18n]', root).forEach(element => {
+                    const key = element.getAttribute('data-i18n');
+                    if (!(key in english)) english[key] = element.textContent.replace(/\s+/g, ' ').trim();
+                });
+
+                utils.$$('[data-i18n-attr]', root).forEach(element => {
+                    element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                        const [attribute, key] = pair.split(':').map(part => part.trim());
+                        if (attribute && key && !(key in english) && element.hasAttribute(attribute)) {
+                            english[key] = element.getAttribute(attribute);
+                        }
+                    });
+                });
+            });
+        },
+
+        bindEvents() {
+            this.switcher.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-lang]');
+                if (!link) return;
+
+                e.preventDefault();
+                this.setLanguage(link.getAttribute('data-lang'));
+            });
+        },
+
+        // ?lang= first, then a saved choice, then the browser's languages
+        detect() {
+            const param = new URLSearchParams(window.location.search).get('lang');
+            if (this.languages[param]) return param;
+
+            try {
+                const stored = localStorage.getItem(this.storageKey);
+                if (this.languages[stored]) return stored;
+            } catch (error) {
+                // Storage unavailable
+            }
+
+            const preferred = (navigator.languages || [navigator.language || 'en']).map(tag => {
+                const base = tag.toLowerCase().split('-')[0];
+                // "ku" is the macrolanguage; Sorani is the variant written in Arabic script
+                return base === 'ku' && /arab|iq/i.test(tag) ? 'ckb' : base;
+            });
+            return preferred.find(lang => this.languages[lang]) || 'en';
+        },
+
+        async load(lang) {
+            if (this.catalogs[lang]) return this.catalogs[lang];
+
+            const response = await fetch(`locales/${lang}.json`);
+            if (!response.ok) throw new Error(`Catalog for ${lang} unavailable (${response.status})`);
+
+            this.catalogs[lang] = await response.json();
+            return this.catalogs[lang];
+        },
+
+        async setLanguage(lang, { persist = true } = {}) {
+            if (!this.languages[lang]) return;
+
+            try {
+                await utils.withTimeout(this.load(lang), this.loadTimeout, `Catalog for ${lang} took too long`);
+            } catch (error) {
+                console.warn('Translation load failed, staying in English:', error);
+                lang = 'en';
+            }
+
+            this.lang = lang;
+
+            if (persist) {
+                try {
+                    localStorage.setItem(this.storageKey, lang);
+                } catch (error) {
+                    // The choice just won't persist
+                }
+
+                const url = new URL(window.location.href);
+                if (lang === 'en') {
+                    url.searchParams.delete('lang');
+                } else {
+                    url.searchParams.set('lang', lang);
+                }
+                history.replaceState(null, '', url);
+            }
+
+            this.apply();
+        },
+
+        // Look up `key` in the current catalog, then English. Strings that
+        // aren't keys (e.g. a data-error-* message) come back unchanged.
+        t(key, params = {}) {
+            const catalog = this.catalogs[this.lang] || {};
+            const message = catalog[key] !== undefined ? catalog[key] : this.catalogs.en[key];
+            if (message === undefined) return key;
+
+            return message.replace(/\{(\w+)\}/g, (match, name) => (
+                params[name] !== undefined ? this.formatValue(params[name]) : match
+            ));
+        },
+
+        has(key) {
+            const catalog = this.catalogs[this.lang] || {};
+            return catalog[key] !== undefined || this.catalogs.en[key] !== undefined;
+        },
+
+        // `key_one`, `key_few`... by the locale's plural rules, else `key_other`
+        plural(key, count, params = {}) {
+            const form = `${key}_${new Intl.PluralRules(this.locale).select(count)}`;
+            return this.t(this.has(form) ? form : `${key}_other`, Object.assign({ count }, params));
+        },
+
+        formatValue(value) {
+            return typeof value === 'number' ? this.formatNumber(value) : value;
+        },
+
+        formatNumber(value, options = {}) {
+            return new Intl.NumberFormat(this.locale, options).format(value);
+        },
+
+        formatDate(date, options = {}) {
+            return new Intl.DateTimeFormat(this.locale, options).format(date);
+        },
+
+        apply() {
+            const root = document.documentElement;
+            root.setAttribute('lang', this.lang);
+            root.setAttribute('dir', this.dir);
+
+            this.translate(document);
+            this.updateSwitcher();
+
+            document.dispatchEvent(new CustomEvent('i18n:change', {
+                detail: { lang: this.lang, locale: this.locale, dir: this.dir }
+            }));
+        },
+
+        // Also used on markup built later, e.g. modals cloned from a <template>
+        translate(root) {
+            utils.$$('[data-i18n]', root).forEach(element => {
+                element.textContent = this.t(element.getAttribute('data-i18n'));
+            });
+
+            utils.$$('[data-i18n-attr]', root).forEach(element => {
+                element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                    const [attribute, key] = pair.split(':').map(part => part.trim());
+                    if (attribute && key) element.setAttribute(attribute, this.t(key));
+                });
+            });
+        },
+
+        updateSwitcher() {
+            if (!this.switcher) return;
+
+            utils.$$('[data-lang]', this.switcher).forEach(link => {
+                if (link.getAttribute('data-lang') === this.lang) {
+                    link.setAttribute('aria-current', 'true');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        }
+    };
+
+    // UI Templates Module
+    // Owns icon snippets and button states, and every module reads its copy
+    // through message(); the strings themselves live in the i18n catalogs,
+    // so keys are the only literals modules hold. Any form can override a message with data-message-<key>
+    // (dots and underscores become dashes: data-message-validation-name-required)
+    // and its submit button with data-label-<state> / data-icon-<state> on the
+    // button or the form. Overrides may be catalog keys or plain copy.
+    const templates = {
+        icons: {
+            send: 'fas fa-paper-plane',
+            loading: 'fas fa-spinner fa-spin',
+            success: 'fas fa-check',
+            edit: 'fas fa-pen'
+        },
+
+        buttonStates: {
+            idle: { icon: 'send', label: 'form.submit' },
+            loading: { icon: 'loading', label: 'form.sending' },
+            success: { icon: 'success', label: 'form.sent' }
+        },
+
+        icon(name) {
+            return `<i class="${this.icons[name] || name}" aria-hidden="true"></i>`;
+        },
+
+        attributeFor(key) {
+            return `data-message-${key.replace(/[._]/g, '-')}`;
+        },
+
+        // `scope` is any element inside the form whose overrides apply
+        message(key, params = {}, scope = null) {
+            const form = scope && (scope.form || scope.closest('form'));
+            const override = form && form.getAttribute(this.attributeFor(key));
+            return i18n.t(override || key, params);
+        },
+
+        renderButton(button, stateName) {
+            const state = this.buttonStates[stateName] ? stateName : 'idle';
+            const config = this.buttonStates[state];
+            const form = button.form || button.closest('form');
+            const read = name => button.getAttribute(name) || (form && form.getAttribute(name));
+
+            const label = document.createElement('span');
+            label.textContent = i18n.t(read(`data-label-${state}`) || this.message(config.label, {}, button));
+
+            button.innerHTML = `${this.icon(read(`data-icon-${state}`) || config.icon)} `;
+            button.appendChild(label);
+            button.setAttribute('data-button-state', state);
+        }
+    };
+
+    // Theme Module
+    // "auto" follows prefers-contrast, then prefers-color-scheme; the toggle
+    // cycles auto -> light -> dark -> contrast. The inline script in <head>
+    // mirrors resolve() so the right palette is set before first paint.
+    const theme = {
+        storageKey: 'armanleads:theme',
+        modes: ['auto', 'light', 'dark', 'contrast'],
+        // meta[name=theme-color] per resolved theme, matching the header
+        colors: {
+            light: '#FFFFFF',
+            dark: '#0E1630',
+            contrast: '#FFFFFF'
+        },
+
+        init() {
+            this.toggles = utils.$$('[data-theme-toggle]');
+            this.meta = utils.$('meta[name="theme-color"]');
+            this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+            this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+            this.mode = this.readMode();
+
+            this.bindEvents();
+            this.apply();
+        },
+
+        bindEvents() {
+            [this.darkQuery, this.contrastQuery].forEach(query => {
+                const update = () => {
+                    if (this.mode === 'auto') this.apply();
+                };
+
+                if (query.addEventListener) {
+                    query.addEventListener('change', update);
+                } else {
+                    query.addListener(update);
+                }
+            });
+
+            this.toggles.forEach(toggle => {
+                toggle.addEventListener('click', () => {
+                    const next = this.modes[(this.modes.indexOf(this.mode) + 1) % this.modes.length];
+                    this.setMode(next);
+                });
+            });
+
+            document.addEventListener('i18n:change', () => this.updateToggles());
+        },
+
+        readMode() {
+            try {
+                const stored = localStorage.getItem(this.storageKey);
+                return this.modes.includes(stored) ? stored : 'auto';
+            } catch (error) {
+                return 'auto';
+            }
+        },
+
+        resolve(mode) {
+            if (mode !== 'auto') return mode;
+            if (this.contrastQuery.matches) return 'contrast';
+            return this.darkQuery.matches ? 'dark' : 'light';
+        },
+
+        setMode(mode) {
+            this.mode = this.modes.includes(mode) ? mode : 'auto';
+
+            try {
+                if (this.mode === 'auto') {
+                    localStorage.removeItem(this.storageKey);
+                } else {
+                    localStorage.setItem(this.storageKey, this.mode);
+                }
+            } catch (error) {
+                // The choice still applies to this page view
+            }
+
+            this.apply();
+        },
+
+        apply() {
+            const resolved = this.resolve(this.mode);
+            document.documentElement.setAttribute('data-theme', resolved);
+
+            if (this.meta) {
+                this.meta.setAttribute('content', this.colors[resolved]);
+            }
+
+            this.updateToggles();
+
+            document.dispatchEvent(new CustomEvent('theme:change', {
+                detail: { mode: this.mode, theme: resolved }
+            }));
+        },
+
+        updateToggles() {
+            const next = this.modes[(this.modes.indexOf(this.mode) + 1) % this.modes.length];
+            const current = i18n.t(`theme.${this.mode}`);
+
+            this.toggles.forEach(toggle => {
+                const label = utils.$('[data-theme-label]', toggle);
+                if (label) label.textContent = current;
+
+                toggle.setAttribute('data-theme-mode', this.mode);
+                toggle.setAttribute('aria-label', i18n.t('theme.toggle', {
+                    mode: current,
+                    next: i18n.t(`theme.${next}`)
+                }));
+            });
+        }
+    };
+
     // Mobile Navigation Module
     const mobileNav = {
         init() {
@@ -217,66 +815,155 @@
     };
 
     // Modal Management Module
+    // Modals stack: opening one over another makes everything beneath it inert.
+    // modal.open(id, { data }) returns a Promise that resolves with the value
+    // passed to close(), and modal:open / modal:close events fire on the
+    // modal element. Markup is #<id>-modal, or a <template data-modal="<id>">
+    // that is turned into a modal the first time it's opened.
     const modal = {
-        init() {
-            this.modals = utils.$$('.modal');
-            this.triggers = utils.$$('[data-modal-trigger]');
-            this.lastFocusedElement = null;
-
-            if (this.modals.length === 0 && this.triggers.length === 0) return;
+        baseZIndex: 2000,
 
+        init() {
             this.bindEvents();
         },
 
         bindEvents() {
-            // Modal trigger buttons
-            this.triggers.forEach(trigger => {
-                trigger.addEventListener('click', (e) => {
+            // Delegated so triggers inside injected content work too
+            document.addEventListener('click', (e) => {
+                const trigger = e.target.closest('[data-modal-trigger]');
+                if (trigger) {
                     e.preventDefault();
-                    const modalId = trigger.getAttribute('data-modal-trigger');
-                    this.open(modalId);
-                });
-            });
+                    const dataAttr = trigger.getAttribute('data-modal-data');
+                    let data;
+                    try {
+                        data = dataAttr ? JSON.parse(dataAttr) : undefined;
+                    } catch (error) {
+                        data = dataAttr;
+                    }
 
-            // Close buttons and backdrop clicks
-            this.modals.forEach(modalElement => {
-                const closeButtons = utils.$$('[data-modal-close]', modalElement);
-                
-                closeButtons.forEach(closeBtn => {
-                    closeBtn.addEventListener('click', (e) => {
-                        e.preventDefault();
-                        this.close();
+                    const modalId = trigger.getAttribute('data-modal-trigger');
+                    this.open(modalId, { data }).catch(error => {
+                        console.error(`Could not open modal "${modalId}":`, error);
                     });
-                });
+                    return;
+                }
+
+                // Close buttons and backdrop clicks only affect the top modal
+                const top = this.getTop();
+                const closer = e.target.closest('[data-modal-close]');
+                if (top && closer && top.element.contains(closer)) {
+                    e.preventDefault();
+                    this.close(closer.getAttribute('data-modal-close') || undefined);
+                }
             });
 
             // Keyboard support
             document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && state.currentModalId) {
+                const top = this.getTop();
+                if (!top) return;
+
+                if (e.key === 'Escape') {
                     this.close();
+                    return;
                 }
-                
-                // Focus trap when modal is open
-                if (state.currentModalId) {
-                    const currentModal = utils.$(`#${state.currentModalId}-modal`);
-                    if (currentModal) {
-                        utils.trapFocus(currentModal, e);
-                    }
+
+                // Focus trap for browsers without inert support
+                utils.trapFocus(top.element, e);
+            });
+        },
+
+        getTop() {
+            return state.modalStack[state.modalStack.length - 1] || null;
+        },
+
+        isOpen(modalId) {
+            return state.modalStack.some(entry => entry.id === modalId);
+        },
+
+        // Find the modal element, building it from a template if needed
+        getElement(modalId) {
+            const existing = utils.$(`#${modalId}-modal`);
+            if (existing) return existing;
+
+            const template = utils.$(`template[data-modal="${modalId}"]`);
+            if (!template) return null;
+
+            const modalElement = document.createElement('div');
+            modalElement.className = 'modal';
+            modalElement.id = `${modalId}-modal`;
+            modalElement.setAttribute('role', 'dialog');
+            modalElement.setAttribute('aria-hidden', 'true');
+            modalElement.setAttribute('hidden', '');
+
+            const backdrop = document.createElement('div');
+            backdrop.className = 'modal-backdrop';
+            backdrop.setAttribute('data-modal-close', '');
+
+            const content = document.createElement('div');
+            content.className = 'modal-content';
+            content.appendChild(template.content.cloneNode(true));
+            i18n.translate(content);
+
+            const title = utils.$('[data-modal-title]', content);
+            if (title) {
+                title.id = title.id || `${modalId}-modal-title`;
+                modalElement.setAttribute('aria-labelledby', title.id);
+            }
+
+            modalElement.append(backdrop, content);
+            document.body.appendChild(modalElement);
+            return modalElement;
+        },
+
+        // Fill [data-modal-field="key"] elements with values from `data`
+        injectData(modalElement, data) {
+            if (!data || typeof data !== 'object') return;
+
+            utils.$$('[data-modal-field]', modalElement).forEach(field => {
+                const value = data[field.getAttribute('data-modal-field')];
+                if (value !== undefined) {
+                    field.textContent = value;
                 }
             });
         },
 
-        open(modalId) {
-            const modalElement = utils.$(`#${modalId}-modal`);
-            if (!modalElement) return;
+        open(modalId, { data } = {}) {
+            const modalElement = this.getElement(modalId);
+            if (!modalElement) return Promise.reject(new Error(`Modal "${modalId}" not found`));
 
-            this.lastFocusedElement = document.activeElement;
-            state.currentModalId = modalId;
+            // Already open: bring nothing new up, just hand back its promise
+            const openEntry = state.modalStack.find(entry => entry.id === modalId);
+            if (openEntry) return openEntry.promise;
+
+            const entry = {
+                id: modalId,
+                element: modalElement,
+                data,
+                lastFocusedElement: document.activeElement,
+                inerted: []
+            };
+            entry.promise = new Promise(resolve => {
+                entry.resolve = resolve;
+            });
+
+            this.injectData(modalElement, data);
+
+            // Everything outside this modal becomes inert, including lower modals
+            entry.inerted = Array.from(document.body.children).filter(element => {
+                return element !== modalElement && !element.inert && element.tagName !== 'SCRIPT';
+            });
+            entry.inerted.forEach(element => {
+                element.inert = true;
+            });
+
+            state.modalStack.push(entry);
 
             // Set modal attributes
+            modalElement.style.zIndex = this.baseZIndex + state.modalStack.length * 10;
             modalElement.setAttribute('aria-hidden', 'false');
             modalElement.setAttribute('aria-modal', 'true');
             modalElement.removeAttribute('hidden');
+            modalElement.classList.remove('fade-out');
             modalElement.classList.add('fade-in');
             
             // Lock body scroll
@@ -292,502 +979,5072 @@
             setTimeout(() => {
                 modalElement.classList.add('scale-in');
             }, 50);
+
+            modalElement.dispatchEvent(new CustomEvent('modal:open', {
+                bubbles: true,
+                detail: { id: modalId, data }
+            }));
+
+            return entry.promise;
         },
 
-        close() {
-            if (!state.currentModalId) return;
+        // Close the top modal, resolving its open() promise with `value`
+        close(value) {
+            const entry = state.modalStack.pop();
+            if (!entry) return;
 
-            const modalElement = utils.$(`#${state.currentModalId}-modal`);
-            if (!modalElement) return;
+            const modalElement = entry.element;
+
+            // Release only what this modal made inert
+            entry.inerted.forEach(element => {
+                element.inert = false;
+            });
+
+            if (state.modalStack.length === 0) {
+                document.body.classList.remove('modal-open');
+            }
 
             // Animation out
             modalElement.classList.remove('scale-in');
             modalElement.classList.add('fade-out');
 
             setTimeout(() => {
+                // Reopened during the animation
+                if (this.isOpen(entry.id)) return;
+
                 modalElement.classList.remove('fade-in', 'fade-out');
                 modalElement.setAttribute('aria-hidden', 'true');
                 modalElement.removeAttribute('aria-modal');
                 modalElement.setAttribute('hidden', '');
-                
-                // Unlock body scroll
-                document.body.classList.remove('modal-open');
+                modalElement.style.zIndex = '';
+            }, 250);
 
-                // Return focus
-                if (this.lastFocusedElement) {
-                    this.lastFocusedElement.focus();
-                    this.lastFocusedElement = null;
-                }
+            // Return focus
+            if (entry.lastFocusedElement && document.contains(entry.lastFocusedElement)) {
+                entry.lastFocusedElement.focus();
+            }
 
-                state.currentModalId = null;
-            }, 250);
+            modalElement.dispatchEvent(new CustomEvent('modal:close', {
+                bubbles: true,
+                detail: { id: entry.id, data: entry.data, value }
+            }));
+
+            entry.resolve(value);
+        },
+
+        closeAll(value) {
+            while (state.modalStack.length > 0) {
+                this.close(value);
+            }
         }
     };
 
-    // Form Validation and Submission Module
-    const formHandler = {
-        init() {
-            this.form = utils.$('#audit-form');
-            this.submitButton = utils.$('.btn-submit');
-            this.loadingDiv = utils.$('#form-loading');
-            this.successDiv = utils.$('#form-success');
+    // Declarative Validation Module
+    // Rules come from a per-form schema (validator.schemas, keyed by form id and
+    // field name) merged over what the markup declares: required, minlength,
+    // maxlength, pattern, type="email", type="url" and data-validate-custom.
+    // Messages can be set per rule with data-error-<rule>, e.g. data-error-required.
+    const validator = {
+        // Messages are i18n keys; plain strings work too and are shown as-is
+        schemas: {
+            'audit-form': {
+                name: {
+                    required: 'validation.name.required',
+                    minLength: { value: 2, message: 'validation.name.minLength' }
+                },
+                email: {
+                    required: 'validation.email.required',
+                    email: 'validation.email'
+                },
+                business_type: {
+                    required: 'validation.business_type.required'
+                },
+                website: {
+                    url: 'validation.url'
+                },
+                ad_spend: {
+                    required: 'validation.ad_spend.required'
+                },
+                message: {
+                    maxLength: { value: 2000, message: 'validation.message.maxLength' }
+                },
+                goal: {
+                    required: 'validation.goal.required'
+                }
+            }
+        },
 
-            if (!this.form) return;
+        // Each rule returns true when the value passes. Empty values pass every
+        // rule except `required`, so optional fields are only checked when filled.
+        rules: {
+            required: (value) => value.length > 0,
+            minLength: (value, min) => !value || value.length >= Number(min),
+            maxLength: (value, max) => !value || value.length <= Number(max),
+            pattern: (value, pattern) => !value || validator.matchesPattern(value, pattern),
+            email: (value) => !value || utils.isValidEmail(value),
+            url: (value) => !value || utils.isValidUrl(value)
+        },
 
-            this.fields = {
-                name: utils.$('#name'),
-                email: utils.$('#email'),
-                businessType: utils.$('#business-type'),
-                website: utils.$('#website'),
-                message: utils.$('#message')
-            };
+        defaultMessages: {
+            required: 'validation.required',
+            minLength: 'validation.minLength',
+            maxLength: 'validation.maxLength',
+            pattern: 'validation.pattern',
+            email: 'validation.email',
+            url: 'validation.url',
+            custom: 'validation.custom'
+        },
 
-            this.errors = {
-                name: utils.$('#name-error'),
-                email: utils.$('#email-error'),
-                businessType: utils.$('#business-type-error'),
-                website: utils.$('#website-error'),
-                message: utils.$('#message-error')
-            };
+        // Custom rules may be async. Return true to pass, or false / a message to fail.
+        customRules: {},
 
-            this.bindEvents();
+        // Browsers ignore a pattern attribute that isn't a valid regex, so we do too
+        // rather than letting one bad attribute break validation for the whole form
+        matchesPattern(value, pattern) {
+            try {
+                return new RegExp(`^(?:${pattern})$`).test(value);
+            } catch (error) {
+                console.error(`Ignoring invalid pattern "${pattern}":`, error);
+                return true;
+            }
         },
 
-        bindEvents() {
-            // Form submission
-            this.form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleSubmit();
-            });
+        init() {
+            utils.$$('form[data-validate]').forEach(form => this.attach(form));
 
-            // Real-time validation
-            Object.keys(this.fields).forEach(fieldName => {
-                const field = this.fields[fieldName];
-                if (field) {
-                    field.addEventListener('blur', () => this.validateField(fieldName));
-                    field.addEventListener('input', utils.debounce(() => {
-                        if (field.getAttribute('aria-invalid') === 'true') {
-                            this.validateField(fieldName);
-                        }
-                    }, 500));
-                }
+            // Re-word visible errors in the new language
+            document.addEventListener('i18n:change', () => {
+                utils.$$('[aria-invalid="true"]').forEach(field => this.validateField(field));
             });
         },
 
-        validateField(fieldName) {
-            const field = this.fields[fieldName];
-            const errorElement = this.errors[fieldName];
-            
-            if (!field || !errorElement) return true;
-
-            let isValid = true;
-            let errorMessage = '';
-
-            const value = field.value.trim();
+        registerRule(name, test) {
+            this.customRules[name] = test;
+        },
 
-            switch (fieldName) {
-                case 'name':
-                    if (!value) {
-                        isValid = false;
-                        errorMessage = 'Please enter your name';
-                    } else if (value.length < 2) {
-                        isValid = false;
-                        errorMessage = 'Name must be at least 2 characters';
-                    }
-                    break;
+        // Wire up blur/input validation. With `submit: false` the caller owns the
+        // submit event and is expected to call validateForm itself.
+        attach(form, { submit = true } = {}) {
+            if (!form || form.hasAttribute('data-validate-bound')) return;
+            form.setAttribute('data-validate-bound', '');
+            form.setAttribute('novalidate', '');
 
-                case 'email':
-                    if (!value) {
-                        isValid = false;
-                        errorMessage = 'Please enter your email address';
-                    } else if (!utils.isValidEmail(value)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid email address';
+            this.getFields(form).forEach(field => {
+                field.addEventListener('blur', () => this.validateField(field));
+                field.addEventListener('input', utils.debounce(() => {
+                    if (field.getAttribute('aria-invalid') === 'true') {
+                        this.validateField(field);
                     }
-                    break;
+                }, 500));
+            });
 
-                case 'businessType':
-                    if (!value) {
-                        isValid = false;
-                        errorMessage = 'Please select your business type';
-                    }
-                    break;
+            if (submit) {
+                form.addEventListener('submit', async (e) => {
+                    e.preventDefault();
 
-                case 'website':
-                    // Website is optional, but if provided must be valid
-                    if (value && !utils.isValidUrl(value)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid URL (include http:// or https://)';
+                    let isValid = false;
+                    try {
+                        isValid = await this.validateForm(form);
+                    } catch (error) {
+                        console.error('Form validation failed:', error);
                     }
-                    break;
 
-                case 'message':
-                    // Message is optional, but check length if provided
-                    if (value && value.length > 2000) {
-                        isValid = false;
-                        errorMessage = 'Message is too long (maximum 2000 characters)';
+                    if (isValid) {
+                        form.submit();
                     }
-                    break;
+                });
             }
+        },
 
-            // Update field and error states
-            if (isValid) {
-                field.classList.remove('error');
-                field.setAttribute('aria-invalid', 'false');
-                errorElement.setAttribute('hidden', '');
-                field.removeAttribute('aria-describedby');
-            } else {
-                field.classList.add('error');
-                field.setAttribute('aria-invalid', 'true');
-                field.setAttribute('aria-describedby', errorElement.id);
-                errorElement.textContent = errorMessage;
-                errorElement.removeAttribute('hidden');
+        // Fields that carry at least one rule. The honeypot is never validated.
+        getFields(form) {
+            return Array.from(form.elements).filter(field => {
+                if (!/^(INPUT|SELECT|TEXTAREA)$/.test(field.tagName)) return false;
+                if (/^(hidden|submit|button|reset)$/.test(field.type)) return false;
+                if (field.closest('.honeypot')) return false;
+                return this.getRules(field).length > 0;
+            });
+        },
+
+        getRules(field) {
+            const form = field.form;
+            const schema = (form && this.schemas[form.id]) || {};
+            const config = Object.assign({}, this.readAttributes(field), schema[field.name] || {});
+
+            return Object.keys(config).map(rule => {
+                const entry = config[rule];
+                const options = typeof entry === 'object' && entry !== null ? entry : { message: entry };
+                const custom = field.getAttribute(`data-error-${rule.toLowerCase()}`);
+
+                return {
+                    rule,
+                    value: options.value,
+                    test: options.test,
+                    message: custom || (typeof options.message === 'string' ? options.message : '')
+                };
+            });
+        },
+
+        readAttributes(field) {
+            const config = {};
+
+            if (field.required) config.required = true;
+            if (field.hasAttribute('minlength')) config.minLength = { value: field.getAttribute('minlength') };
+            if (field.hasAttribute('maxlength')) config.maxLength = { value: field.getAttribute('maxlength') };
+            if (field.hasAttribute('pattern')) config.pattern = { value: field.getAttribute('pattern') };
+            if (field.type === 'email') config.email = true;
+            if (field.type === 'url') config.url = true;
+
+            const customName = field.getAttribute('data-validate-custom');
+            if (customName && this.customRules[customName]) {
+                config.custom = { test: this.customRules[customName] };
             }
 
-            return isValid;
+            return config;
         },
 
-        validateForm() {
-            const requiredFields = ['name', 'email', 'businessType'];
-            const optionalFields = ['website', 'message'];
-            
-            let isFormValid = true;
+        getValue(field) {
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                return field.checked ? field.value : '';
+            }
+            return field.value.trim();
+        },
+
+        async validateField(field) {
+            if (!field) return true;
+
+            const value = this.getValue(field);
+            const token = (field._validationToken || 0) + 1;
+            field._validationToken = token;
+
+            let errorMessage = '';
 
-            // Validate required fields
-            requiredFields.forEach(fieldName => {
-                if (!this.validateField(fieldName)) {
-                    isFormValid = false;
+            for (const rule of this.getRules(field)) {
+                if (rule.rule !== 'custom' && !this.rules[rule.rule]) continue;
+
+                let outcome;
+                try {
+                    outcome = rule.rule === 'custom'
+                        ? await rule.test(value, field, field.form)
+                        : this.rules[rule.rule](value, rule.value);
+                } catch (error) {
+                    // A broken rule fails the field instead of the whole form
+                    console.error(`Validation rule "${rule.rule}" threw:`, error);
+                    outcome = this.defaultMessages.custom;
                 }
-            });
 
-            // Validate optional fields that have values
-            optionalFields.forEach(fieldName => {
-                const field = this.fields[fieldName];
-                if (field && field.value.trim()) {
-                    if (!this.validateField(fieldName)) {
-                        isFormValid = false;
-                    }
+                if (outcome !== true) {
+                    errorMessage = templates.message(
+                        typeof outcome === 'string' ? outcome : rule.message || this.defaultMessages[rule.rule],
+                        { value: Number(rule.value) },
+                        field
+                    );
+                    break;
                 }
-            });
+            }
+
+            // A newer validation of this field has started, let it win
+            if (field._validationToken !== token) return !errorMessage;
+
+            if (errorMessage) {
+                this.showError(field, errorMessage);
+            } else {
+                this.clearError(field);
+            }
 
-            return isFormValid;
+            return !errorMessage;
         },
 
-        async handleSubmit() {
-            if (state.isSubmitting) return;
+        // Validate every field in the form, or only those inside `container`
+        async validateForm(form, container = form) {
+            const fields = this.getFields(form).filter(field => container.contains(field));
+            const results = await Promise.all(fields.map(field => this.validateField(field)));
+            const isValid = results.every(Boolean);
 
-            // Validate form
-            if (!this.validateForm()) {
-                // Focus first error field
-                const firstErrorField = utils.$('.form-input.error, .form-select.error');
+            if (!isValid) {
+                const firstErrorField = utils.$('[aria-invalid="true"]', container);
                 if (firstErrorField) {
                     firstErrorField.focus();
                 }
-                return;
             }
 
-            state.isSubmitting = true;
-            this.setSubmitState('loading');
-
-            try {
-                const formData = new FormData(this.form);
-                
-                // Get form action (Formspree endpoint)
-                const formAction = this.form.action;
-                if (!formAction) {
-                    throw new Error('Form action URL not found');
-                }
+            return isValid;
+        },
 
-                const response = await fetch(formAction, {
-                    method: 'POST',
-                    body: formData,
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
+        // Find the field's error element, creating one if the markup lacks it
+        getErrorElement(field) {
+            const id = `${field.id || field.name}-error`;
+            let errorElement = document.getElementById(id);
 
-                if (response.ok) {
-                    this.setSubmitState('success');
-                    this.resetForm();
-                } else {
-                    const data = await response.json();
-                    if (data.errors) {
-                        this.handleFormErrors(data.errors);
-                    } else {
-                        throw new Error('Form submission failed');
-                    }
-                }
-            } catch (error) {
-                console.error('Form submission error:', error);
-                this.setSubmitState('error');
+            if (!errorElement) {
+                errorElement = document.createElement('p');
+                errorElement.id = id;
+                errorElement.className = 'field-error';
+                errorElement.setAttribute('hidden', '');
+                field.insertAdjacentElement('afterend', errorElement);
             }
 
-            state.isSubmitting = false;
+            return errorElement;
         },
 
-        handleFormErrors(errors) {
-            errors.forEach(error => {
-                if (error.field) {
-                    const fieldName = error.field;
-                    const field = this.fields[fieldName];
-                    const errorElement = this.errors[fieldName];
-                    
-                    if (field && errorElement) {
-                        field.classList.add('error');
-                        field.setAttribute('aria-invalid', 'true');
-                        field.setAttribute('aria-describedby', errorElement.id);
-                        errorElement.textContent = error.message || 'Invalid input';
-                        errorElement.removeAttribute('hidden');
-                    }
-                }
-            });
-            
-            this.setSubmitState('idle');
-        },
+        showError(field, message) {
+            const errorElement = this.getErrorElement(field);
 
-        setSubmitState(newState) {
-            switch (newState) {
-                case 'loading':
-                    if (this.submitButton) {
-                        this.submitButton.disabled = true;
-                        this.submitButton.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Sending...';
-                    }
-                    if (this.loadingDiv) {
-                        this.loadingDiv.removeAttribute('hidden');
-                    }
-                    if (this.successDiv) {
-                        this.successDiv.setAttribute('hidden', '');
-                    }
-                    break;
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+            this.toggleDescribedBy(field, errorElement.id, true);
+            errorElement.textContent = message;
+            errorElement.removeAttribute('hidden');
+        },
 
-                case 'success':
-                    if (this.loadingDiv) {
-                        this.loadingDiv.setAttribute('hidden', '');
-                    }
-                    if (this.successDiv) {
-                        this.successDiv.removeAttribute('hidden');
-                        this.successDiv.setAttribute('role', 'status');
-                        this.successDiv.focus();
-                    }
-                    if (this.submitButton) {
-                        this.submitButton.disabled = false;
-                        this.submitButton.innerHTML = '<i class="fas fa-paper-plane" aria-hidden="true"></i> Send My Free Audit';
-                    }
-                    break;
+        clearError(field) {
+            const errorElement = document.getElementById(`${field.id || field.name}-error`);
 
-                case 'error':
-                    if (this.loadingDiv) {
-                        this.loadingDiv.setAttribute('hidden', '');
-                    }
-                    if (this.submitButton) {
-                        this.submitButton.disabled = false;
-                        this.submitButton.innerHTML = '<i class="fas fa-paper-plane" aria-hidden="true"></i> Send My Free Audit';
-                    }
-                    // Could add error message display here
-                    break;
+            field.classList.remove('error');
+            field.setAttribute('aria-invalid', 'false');
 
-                case 'idle':
-                default:
-                    if (this.submitButton) {
-                        this.submitButton.disabled = false;
-                        this.submitButton.innerHTML = '<i class="fas fa-paper-plane" aria-hidden="true"></i> Send My Free Audit';
-                    }
-                    if (this.loadingDiv) {
-                        this.loadingDiv.setAttribute('hidden', '');
-                    }
-                    break;
+            if (errorElement) {
+                this.toggleDescribedBy(field, errorElement.id, false);
+                errorElement.setAttribute('hidden', '');
             }
         },
 
-        resetForm() {
-            // Reset form fields
-            this.form.reset();
+        // Add or remove one id without clobbering other aria-describedby entries
+        toggleDescribedBy(field, id, add) {
+            const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            const next = add
+                ? (ids.includes(id) ? ids : ids.concat(id))
+                : ids.filter(existing => existing !== id);
 
-            // Reset validation states
-            Object.keys(this.fields).forEach(fieldName => {
-                const field = this.fields[fieldName];
-                const errorElement = this.errors[fieldName];
-                
-                if (field) {
-                    field.classList.remove('error');
-                    field.setAttribute('aria-invalid', 'false');
-                    field.removeAttribute('aria-describedby');
-                }
-                
-                if (errorElement) {
-                    errorElement.setAttribute('hidden', '');
-                }
-            });
+            if (next.length > 0) {
+                field.setAttribute('aria-describedby', next.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+        },
+
+        reset(form) {
+            this.getFields(form).forEach(field => this.clearError(field));
         }
     };
 
-    // Preloader Removal Module
-    const preloader = {
-        init() {
-            this.preloaderElement = utils.$('#preloader');
-            if (!this.preloaderElement) return;
+    // Form Submission Transports
+    // Each transport takes the form and its FormData and resolves to a
+    // normalized result: { ok, status, fieldErrors: [{ field, message }], message }.
+    // Transports that hand the submission to another app (mailto) resolve with
+    // `handedOff` instead of `ok`, since we can't know whether it was sent.
+    // They're registered with `interactive: true` and never run in the background.
+    const transports = {
+        registry: {},
+        developmentHosts: ['localhost', '127.0.0.1', '[::1]', ''],
 
-            // Remove preloader on window load
-            window.addEventListener('load', () => {
-                this.remove();
-            });
+        register(name, transport) {
+            this.registry[name] = transport;
+        },
 
-            // Fallback: remove after 3 seconds regardless
-            setTimeout(() => {
-                this.remove();
-            }, 3000);
+        // Pick a transport from data-transport, falling back to Formspree when the
+        // form has an action and to mailto when it doesn't. ?transport=mock
+        // forces the mock transport, but only on local development hosts.
+        resolve(form) {
+            if (this.isDevelopment()) {
+                const forced = new URLSearchParams(window.location.search).get('transport');
+                if (forced && this.registry[forced]) return forced;
+            }
+
+            const requested = form.getAttribute('data-transport');
+            if (requested && this.registry[requested]) return requested;
+
+            return form.getAttribute('action') ? 'formspree' : 'mailto';
         },
 
-        remove() {
-            if (this.preloaderElement) {
-                this.preloaderElement.style.opacity = '0';
-                this.preloaderElement.style.transition = 'opacity 0.3s ease-out';
-                
-                setTimeout(() => {
-                    if (this.preloaderElement.parentNode) {
-                        this.preloaderElement.parentNode.removeChild(this.preloaderElement);
-                    }
-                }, 300);
+        // localhost, loopback addresses and file:// pages
+        isDevelopment() {
+            return this.developmentHosts.includes(window.location.hostname);
+        },
+
+        // `background` sends (queue replays) must not open anything on the
+        // visitor's screen, so they skip interactive transports and fallbacks
+        async send(form, formData, { background = false } = {}) {
+            const name = this.resolve(form);
+            const transport = this.registry[name];
+            const allowed = candidate => !(background && candidate.interactive);
+
+            if (!allowed(transport)) {
+                return this.normalize({ ok: false, status: 0, message: `Transport "${name}" needs the visitor` });
             }
-        }
-    };
 
-    // Scroll Spy Module
-    const scrollSpy = {
-        init() {
-            this.navLinks = utils.$$('.nav-link[href^="#"]');
-            this.sections = [];
-            
-            // Get sections that exist in DOM
-            state.sections.forEach(sectionId => {
-                const section = utils.$(`#${sectionId}`);
-                if (section) {
-                    this.sections.push({ id: sectionId, element: section });
-                }
-            });
+            try {
+                const result = await transport.send(form, formData);
+                return this.normalize(result);
+            } catch (error) {
+                console.error(`Transport "${name}" failed:`, error);
 
-            if (this.sections.length === 0 || this.navLinks.length === 0) return;
+                // Try the declared fallback before giving up
+                const fallbackName = form.getAttribute('data-transport-fallback');
+                const fallback = this.registry[fallbackName];
+                if (fallback && fallbackName !== name && allowed(fallback)) {
+                    return this.normalize(await fallback.send(form, formData));
+                }
 
-            this.createObserver();
+                return this.normalize({ ok: false, status: 0, message: error.message });
+            }
         },
 
-        createObserver() {
-            const options = {
-                rootMargin: '-20% 0px -70% 0px',
-                threshold: 0
+        normalize(result = {}) {
+            return {
+                ok: Boolean(result.ok),
+                handedOff: Boolean(result.handedOff),
+                status: typeof result.status === 'number' ? result.status : 0,
+                fieldErrors: Array.isArray(result.fieldErrors) ? result.fieldErrors : [],
+                message: result.message || ''
             };
+        },
 
-            this.observer = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        this.setActiveNavLink(entry.target.id);
-                    }
-                });
-            }, options);
+        // Read a JSON error body if the endpoint sent one
+        async parseResponse(response) {
+            let data = {};
+            try {
+                data = await response.json();
+            } catch {
+                // Non-JSON responses are fine, we only need the status
+            }
 
-            // Observe all sections
-            this.sections.forEach(section => {
-                this.observer.observe(section.element);
-            });
+            const errors = Array.isArray(data.errors) ? data.errors : [];
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                fieldErrors: errors.filter(error => error.field).map(error => ({
+                    field: error.field,
+                    message: error.message
+                })),
+                message: data.message || data.error ||
+                    errors.filter(error => !error.field).map(error => error.message).join(' ') ||
+                    (response.ok ? '' : `Request failed with status ${response.status}`)
+            };
         },
 
-        setActiveNavLink(activeSectionId) {
-            this.navLinks.forEach(link => {
-                const href = link.getAttribute('href');
-                const linkSectionId = href.substring(1); // Remove the #
+        // Human-readable "Label: value" lines for mailto bodies and chat messages
+        toLines(form, formData) {
+            const lines = [];
+            formData.forEach((value, key) => {
+                // Underscore-prefixed keys are metadata, not something the visitor wrote
+                if (key.charAt(0) !== '_' && typeof value === 'string' && value.trim()) {
+                    const field = form.elements[key];
+                    const label = field && field.labels && field.labels[0]
+                        ? field.labels[0].textContent.trim()
+                        : key;
+                    lines.push(`${label}: ${value.trim()}`);
+                }
+            });
+            return lines;
+        },
 
-                if (linkSectionId === activeSectionId) {
-                    link.classList.add('active');
-                    link.setAttribute('aria-current', 'page');
+        // Build a plain object from FormData, keeping repeated keys as arrays
+        toObject(formData) {
+            const data = {};
+            formData.forEach((value, key) => {
+                if (key in data) {
+                    data[key] = [].concat(data[key], value);
                 } else {
-                    link.classList.remove('active');
-                    link.removeAttribute('aria-current');
+                    data[key] = value;
                 }
             });
+            return data;
         }
     };
 
-    // Smooth Scroll Module
-    const smoothScroll = {
-        init() {
-            this.anchorLinks = utils.$$('a[href^="#"]');
-            if (this.anchorLinks.length === 0) return;
-
-            this.bindEvents();
-        },
+    // Formspree-style JSON endpoint (form action or data-endpoint)
+    transports.register('formspree', {
+        async send(form, formData) {
+            const endpoint = form.getAttribute('data-endpoint') || form.getAttribute('action');
+            if (!endpoint) {
+                throw new Error('Form endpoint URL not found');
+            }
 
-        bindEvents() {
-            this.anchorLinks.forEach(link => {
-                link.addEventListener('click', (e) => {
-                    const href = link.getAttribute('href');
-                    const target = utils.$(href);
-                    
-                    if (target && href !== '#') {
-                        e.preventDefault();
-                        this.scrollToTarget(target);
-                    }
-                });
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                body: formData,
+                headers: {
+                    'Accept': 'application/json'
+                }
             });
-        },
 
-        scrollToTarget(target) {
-            if (utils.prefersReducedMotion()) {
-                target.scrollIntoView();
-                return;
+            return transports.parseResponse(response);
+        }
+    });
+
+    // Generic webhook. data-payload-map maps outgoing keys to form field names,
+    // e.g. data-payload-map='{"full_name": "name", "contact": "email"}'
+    transports.register('webhook', {
+        async send(form, formData) {
+            const endpoint = form.getAttribute('data-endpoint');
+            if (!endpoint) {
+                throw new Error('Webhook endpoint URL not found');
             }
 
-            // Calculate offset for fixed header
-            const header = utils.$('.site-header');
-            const headerHeight = header ? header.offsetHeight : 0;
-            const targetPosition = target.offsetTop - headerHeight - 20;
+            const data = transports.toObject(formData);
+            const mapAttr = form.getAttribute('data-payload-map');
+            let payload = data;
 
-            window.scrollTo({
+            if (mapAttr) {
+                const map = JSON.parse(mapAttr);
+                payload = {};
+                Object.keys(map).forEach(key => {
+                    payload[key] = data[map[key]] !== undefined ? data[map[key]] : '';
+                });
+            }
+
+            const response = await fetch(endpoint, {
+                method: form.getAttribute('data-method') || 'POST',
+                body: JSON.stringify(payload),
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return transports.parseResponse(response);
+        }
+    });
+
+    // Opens the visitor's email client with the form contents pre-filled
+    transports.register('mailto', {
+        interactive: true,
+
+        async send(form, formData) {
+            const address = form.getAttribute('data-mailto') || 'hello@armanleads.com';
+            const subject = i18n.t(form.getAttribute('data-mailto-subject') || 'form.alt_contact_subject');
+
+            const lines = transports.toLines(form, formData);
+
+            const href = `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+            window.location.href = href;
+
+            // The email app owns the message now; whether it gets sent is up to
+            // the visitor, so this is neither a success nor something to retry
+            return {
+                ok: false,
+                handedOff: true,
+                status: 0,
+                message: 'Your email app has been opened with your details filled in'
+            };
+        }
+    });
+
+    // Local mock for development. data-mock-result="error" or "validation"
+    // simulates failures; the default resolves successfully.
+    transports.register('mock', {
+        send(form, formData) {
+            const outcome = form.getAttribute('data-mock-result') || 'success';
+
+            return new Promise(resolve => {
+                setTimeout(() => {
+                    if (outcome === 'error') {
+                        resolve({ ok: false, status: 500, message: 'Mock server error' });
+                    } else if (outcome === 'validation') {
+                        resolve({
+                            ok: false,
+                            status: 422,
+                            fieldErrors: [{ field: 'email', message: 'Mock: this email was rejected' }]
+                        });
+                    } else {
+                        resolve({ ok: true, status: 200 });
+                    }
+                }, 800);
+            });
+        }
+    });
+
+    // Spam Defence Module
+    // Scores each submission from the honeypot, time-to-submit, how the visitor
+    // interacted with the form and whether the same payload was sent recently.
+    // The verdict travels with the payload so the backend can make the final call;
+    // only a filled honeypot is blocked outright.
+    const spamGuard = {
+        minSubmitTime: 3000,
+        duplicateWindow: 10 * 60 * 1000,
+        storageKey: 'armanleads:submission-fingerprints',
+        honeypotName: 'website_url',
+        weights: {
+            'honeypot': 1,
+            'too-fast': 0.4,
+            'no-interaction': 0.3,
+            'paste-only': 0.2,
+            'duplicate': 0.3
+        },
+
+        tracked: new WeakMap(),
+        challenges: {},
+
+        freshSignals() {
+            return {
+                startedAt: Date.now(),
+                keystrokes: 0,
+                pastes: 0,
+                focuses: 0,
+                pointer: false
+            };
+        },
+
+        // Start collecting interaction signals for a form
+        watch(form) {
+            if (!form || this.tracked.has(form)) return;
+
+            const signals = this.freshSignals();
+            this.tracked.set(form, signals);
+
+            form.addEventListener('keydown', () => { signals.keystrokes += 1; });
+            form.addEventListener('paste', () => { signals.pastes += 1; });
+            form.addEventListener('focusin', () => { signals.focuses += 1; });
+            form.addEventListener('pointerdown', () => { signals.pointer = true; });
+
+            // The next submission from this form is timed and counted from scratch
+            ['reset', 'form:success'].forEach(type => {
+                form.addEventListener(type, () => Object.assign(signals, this.freshSignals()));
+            });
+        },
+
+        // Register a challenge: async (formData, verdict, form) => token. Forms opt in
+        // with data-spam-challenge="<name>".
+        registerChallenge(name, solve) {
+            this.challenges[name] = solve;
+        },
+
+        async evaluate(form, formData) {
+            const signals = this.tracked.get(form) || this.freshSignals();
+            const elapsed = Date.now() - signals.startedAt;
+            const fingerprint = this.fingerprint(formData);
+            const flags = [];
+
+            const honeypot = formData.get(this.honeypotName);
+            if (honeypot && String(honeypot).trim()) flags.push('honeypot');
+            if (elapsed < this.minSubmitTime) flags.push('too-fast');
+            if (signals.keystrokes === 0 && signals.focuses === 0 && !signals.pointer) flags.push('no-interaction');
+            if (signals.pastes > 0 && signals.keystrokes === 0) flags.push('paste-only');
+            if (this.isDuplicate(fingerprint)) flags.push('duplicate');
+
+            const score = Math.min(1, flags.reduce((total, flag) => total + this.weights[flag], 0));
+
+            const verdict = {
+                score: Math.round(score * 100) / 100,
+                flags,
+                blocked: flags.includes('honeypot'),
+                elapsed,
+                keystrokes: signals.keystrokes,
+                pastes: signals.pastes,
+                focuses: signals.focuses,
+                fingerprint
+            };
+
+            const challengeName = form.getAttribute('data-spam-challenge');
+            if (!verdict.blocked && challengeName && this.challenges[challengeName]) {
+                try {
+                    verdict.challenge = {
+                        name: challengeName,
+                        token: await this.challenges[challengeName](formData, verdict, form)
+                    };
+                } catch (error) {
+                    console.error('Spam challenge failed:', error);
+                    verdict.flags.push('challenge-failed');
+                }
+            }
+
+            return verdict;
+        },
+
+        // Attach the verdict as underscore-prefixed fields, which the transports
+        // leave out of human-readable messages
+        attach(formData, verdict) {
+            const summary = Object.assign({}, verdict);
+            delete summary.blocked;
+
+            formData.set('_spam_score', String(verdict.score));
+            formData.set('_spam_verdict', JSON.stringify(summary));
+        },
+
+        // Stable hash of what the visitor typed, ignoring our own metadata fields
+        fingerprint(formData) {
+            const parts = [];
+            formData.forEach((value, key) => {
+                if (key.charAt(0) === '_' || key === this.honeypotName || typeof value !== 'string') return;
+                parts.push(`${key}=${value.trim().toLowerCase()}`);
+            });
+
+            const text = parts.sort().join('&');
+            let hash = 5381;
+            for (let i = 0; i < text.length; i++) {
+                hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+            }
+            return (hash >>> 0).toString(16);
+        },
+
+        readFingerprints() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+                const now = Date.now();
+                Object.keys(stored).forEach(key => {
+                    if (now - stored[key] > this.duplicateWindow) delete stored[key];
+                });
+                return stored;
+            } catch {
+                return {};
+            }
+        },
+
+        isDuplicate(fingerprint) {
+            return fingerprint in this.readFingerprints();
+        },
+
+        // Called after a successful send so repeats can be flagged
+        remember(fingerprint) {
+            const stored = this.readFingerprints();
+            stored[fingerprint] = Date.now();
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(stored));
+            } catch {
+                // Duplicate detection is best effort
+            }
+        }
+    };
+
+    // Hashcash-style proof of work: find a nonce whose SHA-256 with the
+    // fingerprint starts with `data-spam-difficulty` hex zeros (default 3)
+    spamGuard.registerChallenge('pow', async (formData, verdict, form) => {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Web Crypto is unavailable');
+        }
+
+        const difficulty = Number(form.getAttribute('data-spam-difficulty')) || 3;
+        const prefix = '0'.repeat(difficulty);
+        const stamp = Date.now();
+        const encoder = new TextEncoder();
+
+        for (let nonce = 0; nonce < 1000000; nonce++) {
+            const input = `${verdict.fingerprint}:${stamp}:${nonce}`;
+            const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(input));
+            const hex = Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+
+            if (hex.startsWith(prefix)) {
+                return { stamp, nonce, difficulty };
+            }
+        }
+
+        throw new Error('Proof of work gave up');
+    });
+
+    // Offline Submission Queue
+    // Submissions that fail on the network or with a 5xx are stored in
+    // localStorage and retried with exponential backoff when the browser comes
+    // back online or on the next page visit.
+    const submissionQueue = {
+        storageKey: 'armanleads:submission-queue',
+        baseDelay: 5000,
+        maxDelay: 60 * 60 * 1000,
+        maxAttempts: 10,
+
+        init() {
+            this.retryTimer = null;
+            this.isFlushing = false;
+
+            window.addEventListener('online', () => this.flush(true));
+
+            // Retry anything left over from a previous visit
+            if (this.read().length > 0) {
+                this.flush();
+            }
+        },
+
+        // Worth queueing: offline, a network error or a server-side failure
+        shouldQueue(result) {
+            if (result.handedOff) return false;
+            return !navigator.onLine || result.status === 0 || result.status >= 500;
+        },
+
+        // Why a result was queued, so the visitor isn't told they're offline
+        // when it was actually the server that failed
+        reasonFor(result) {
+            if (!navigator.onLine) return 'offline';
+            return result.status === 0 ? 'network' : 'server';
+        },
+
+        read() {
+            try {
+                const items = JSON.parse(localStorage.getItem(this.storageKey));
+                return Array.isArray(items) ? items : [];
+            } catch {
+                return [];
+            }
+        },
+
+        write(items) {
+            try {
+                if (items.length === 0) {
+                    localStorage.removeItem(this.storageKey);
+                } else {
+                    localStorage.setItem(this.storageKey, JSON.stringify(items));
+                }
+                return true;
+            } catch (error) {
+                console.error('Could not persist submission queue:', error);
+                return false;
+            }
+        },
+
+        add(form, formData) {
+            const items = this.read();
+            const entry = {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                formId: form.id,
+                transport: this.getTransportAttributes(form),
+                data: transports.toObject(formData),
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: Date.now() + this.baseDelay
+            };
+
+            items.push(entry);
+            if (!this.write(items)) return false;
+
+            this.schedule();
+            return true;
+        },
+
+        // Transport settings, so forms that only exist at runtime (like the
+        // booking confirmation) can still be replayed on a later visit
+        transportAttributes: ['action', 'data-transport', 'data-transport-fallback', 'data-endpoint', 'data-method', 'data-payload-map', 'data-mailto', 'data-mailto-subject'],
+
+        getTransportAttributes(form) {
+            const attributes = {};
+            this.transportAttributes.forEach(name => {
+                if (form.hasAttribute(name)) attributes[name] = form.getAttribute(name);
+            });
+            return attributes;
+        },
+
+        findForm(item) {
+            const form = item.formId ? utils.$(`#${item.formId}`) : null;
+            if (form || !item.transport) return form;
+
+            const detached = document.createElement('form');
+            Object.keys(item.transport).forEach(name => detached.setAttribute(name, item.transport[name]));
+            return detached;
+        },
+
+        toFormData(item) {
+            const formData = new FormData();
+            Object.keys(item.data).forEach(key => {
+                [].concat(item.data[key]).forEach(value => formData.append(key, value));
+            });
+            return formData;
+        },
+
+        getDelay(attempts) {
+            return Math.min(this.baseDelay * Math.pow(2, attempts), this.maxDelay);
+        },
+
+        schedule() {
+            clearTimeout(this.retryTimer);
+
+            const items = this.read();
+            if (items.length === 0) return;
+
+            const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+            const wait = Math.max(nextAttemptAt - Date.now(), 0);
+            this.retryTimer = setTimeout(() => this.flush(), wait);
+        },
+
+        // Send due entries. `force` ignores the backoff, used when we just came online.
+        async flush(force = false) {
+            if (this.isFlushing || !navigator.onLine) return;
+            this.isFlushing = true;
+
+            const now = Date.now();
+            // id -> updated entry, or null once it's sent or dropped
+            const outcomes = new Map();
+
+            try {
+                for (const item of this.read()) {
+                    const form = this.findForm(item);
+                    if (!form || (!force && item.nextAttemptAt > now)) continue;
+
+                    const result = await transports.send(form, this.toFormData(item), { background: true });
+
+                    if (result.ok) {
+                        outcomes.set(item.id, null);
+                        document.dispatchEvent(new CustomEvent('submission:sent', { detail: { item, result } }));
+                        continue;
+                    }
+
+                    // Validation errors won't fix themselves, so drop those entries
+                    if (!this.shouldQueue(result) || item.attempts + 1 >= this.maxAttempts) {
+                        console.error('Dropping queued submission:', result.message || result.status);
+                        outcomes.set(item.id, null);
+                        document.dispatchEvent(new CustomEvent('submission:dropped', { detail: { item, result } }));
+                        continue;
+                    }
+
+                    item.attempts += 1;
+                    item.nextAttemptAt = Date.now() + this.getDelay(item.attempts);
+                    outcomes.set(item.id, item);
+                }
+            } catch (error) {
+                console.error('Submission queue flush failed:', error);
+            } finally {
+                this.commit(outcomes);
+                this.isFlushing = false;
+                this.schedule();
+            }
+        },
+
+        // Apply a flush's outcomes to what's stored now, so entries add() wrote
+        // while we were waiting on the network aren't overwritten
+        commit(outcomes) {
+            const items = this.read()
+                .filter(item => outcomes.get(item.id) !== null)
+                .map(item => outcomes.get(item.id) || item);
+
+            this.write(items);
+        }
+    };
+
+    // Consultation Booking Module
+    // Lazy-loads a booking widget the first time its modal opens. The widget
+    // element picks a provider with data-booking-provider and points it at
+    // data-booking-src; providers resolve once something bookable is on screen
+    // and reject so we can fall back to WhatsApp/email. Each load gets an
+    // AbortSignal that fires if it times out, so a late provider can't render
+    // over the fallback.
+    const booking = {
+        providers: {},
+        loadTimeout: 10000,
+        homeTimeZone: 'Asia/Baghdad',
+
+        init() {
+            document.addEventListener('modal:open', (e) => {
+                const widget = utils.$('[data-booking-provider]', e.target);
+                if (widget) {
+                    this.load(widget);
+                }
+            });
+
+            // Slots and confirmations are built here, so follow language changes
+            document.addEventListener('i18n:change', () => this.relocalize());
+        },
+
+        registerProvider(name, provider) {
+            this.providers[name] = provider;
+        },
+
+        getVisitorTimeZone() {
+            try {
+                return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+            } catch (error) {
+                return 'UTC';
+            }
+        },
+
+        async load(widget) {
+            if (!widget || widget.dataset.bookingState) return;
+            widget.dataset.bookingState = 'loading';
+
+            const container = widget.closest('.modal-body') || widget.parentNode;
+            const loading = utils.$('[data-booking-loading]', container);
+            const fallback = utils.$('[data-booking-fallback]', container);
+            const provider = this.providers[widget.getAttribute('data-booking-provider')];
+            const controller = new AbortController();
+
+            try {
+                if (!provider) {
+                    throw new Error('Unknown booking provider');
+                }
+
+                await utils.withTimeout(
+                    provider.load(widget, {
+                        src: widget.getAttribute('data-booking-src'),
+                        signal: controller.signal
+                    }),
+                    this.loadTimeout,
+                    'Booking widget took too long to load'
+                );
+
+                widget.dataset.bookingState = 'loaded';
+            } catch (error) {
+                console.error('Booking widget failed:', error);
+                controller.abort();
+                widget.dataset.bookingState = 'failed';
+                widget.innerHTML = '';
+                if (fallback) fallback.removeAttribute('hidden');
+            }
+
+            if (loading) loading.setAttribute('hidden', '');
+        },
+
+        timeZoneKey: 'armanleads:booking-time-zone',
+
+        // Whether Intl knows the zone; a saved override can outlive browser support
+        isValidTimeZone(timeZone) {
+            if (!timeZone) return false;
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        // The visitor's saved override, else the detected zone. Overrides this
+        // browser can't format are cleared rather than breaking the picker.
+        getPreferredTimeZone() {
+            try {
+                const saved = localStorage.getItem(this.timeZoneKey);
+                if (this.isValidTimeZone(saved)) return saved;
+                if (saved) localStorage.removeItem(this.timeZoneKey);
+            } catch (error) {
+                // Storage is unavailable, fall through to the detected zone
+            }
+            return this.getVisitorTimeZone();
+        },
+
+        setPreferredTimeZone(timeZone) {
+            try {
+                if (timeZone === this.getVisitorTimeZone()) {
+                    localStorage.removeItem(this.timeZoneKey);
+                } else {
+                    localStorage.setItem(this.timeZoneKey, timeZone);
+                }
+            } catch (error) {
+                // The override just won't persist
+            }
+        },
+
+        getTimeZoneOptions(current) {
+            const common = [
+                'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+                'America/Toronto', 'Europe/London', 'Europe/Berlin', 'Europe/Stockholm',
+                'Asia/Baghdad', 'Asia/Dubai', 'Australia/Perth', 'Australia/Sydney'
+            ];
+            const zones = typeof Intl.supportedValuesOf === 'function'
+                ? Intl.supportedValuesOf('timeZone')
+                : common;
+
+            return Array.from(new Set([current, this.getVisitorTimeZone(), this.homeTimeZone].concat(zones)));
+        },
+
+        // Minutes `timeZone` is ahead of UTC at the given instant
+        getTimeZoneOffset(date, timeZone) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }).formatToParts(date).forEach(part => {
+                parts[part.type] = Number(part.value);
+            });
+
+            const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+            return Math.round((asUtc - date.getTime()) / 60000);
+        },
+
+        // The instant a wall-clock date ("2026-11-02") and time ("10:30") happen in `timeZone`
+        zonedTime(day, time, timeZone) {
+            const [year, month, date] = day.split('-').map(Number);
+            const [hours, minutes] = time.split(':').map(Number);
+            const guess = Date.UTC(year, month - 1, date, hours, minutes);
+
+            return new Date(guess - this.getTimeZoneOffset(new Date(guess), timeZone) * 60000);
+        },
+
+        // Expand working hours into concrete slots, skipping blocked dates and
+        // anything inside the minimum notice period
+        generateSlots(availability) {
+            const timeZone = availability.timeZone || this.homeTimeZone;
+            const slotMinutes = availability.slotMinutes || 15;
+            const daysAhead = availability.daysAhead || 14;
+            const earliest = Date.now() + (availability.minNoticeHours || 0) * 3600000;
+            const blocked = new Set(availability.blockedDates || []);
+            const hours = availability.workingHours || {};
+            const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+            // Today's date where the business is
+            const offset = this.getTimeZoneOffset(new Date(), timeZone);
+            const today = new Date(Date.now() + offset * 60000);
+            const slots = [];
+
+            for (let i = 0; i < daysAhead; i++) {
+                const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i));
+                const dayKey = day.toISOString().slice(0, 10);
+                if (blocked.has(dayKey)) continue;
+
+                (hours[weekdays[day.getUTCDay()]] || []).forEach(([start, end]) => {
+                    let cursor = this.zonedTime(dayKey, start, timeZone);
+                    const close = this.zonedTime(dayKey, end, timeZone);
+
+                    while (cursor.getTime() + slotMinutes * 60000 <= close.getTime()) {
+                        if (cursor.getTime() >= earliest) slots.push(cursor.toISOString());
+                        cursor = new Date(cursor.getTime() + slotMinutes * 60000);
+                    }
+                });
+            }
+
+            return slots;
+        },
+
+        // "Tue, Oct 20, 9:00 AM" in the given zone
+        formatSlot(date, timeZone, options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) {
+            return i18n.formatDate(date, Object.assign({ timeZone }, options));
+        },
+
+        // Render slots grouped by the visitor's local day
+        // With `selectable`, a time zone picker lets the visitor re-render the
+        // same slots in another zone
+        renderSlots(widget, slots, timeZone, { selectable = false } = {}) {
+            const upcoming = slots
+                .map(slot => new Date(slot))
+                .filter(date => !isNaN(date) && date.getTime() > Date.now())
+                .sort((a, b) => a - b);
+
+            if (upcoming.length === 0) {
+                throw new Error('No open slots');
+            }
+            // Throws a RangeError for an unsupported zone, before anything is cleared
+            this.formatSlot(upcoming[0], timeZone);
+
+            this.view = { stage: 'slots', widget, slots, timeZone, selectable };
+            widget.innerHTML = '';
+
+            const note = document.createElement('p');
+            note.className = 'booking-timezone';
+            note.textContent = templates.message(
+                timeZone === this.getVisitorTimeZone() ? 'booking.timezone_local' : 'booking.timezone_selected',
+                { zone: timeZone }
+            );
+            widget.appendChild(note);
+
+            if (selectable) {
+                const picker = document.createElement('div');
+                picker.className = 'booking-timezone-picker';
+
+                const label = document.createElement('label');
+                label.setAttribute('for', 'booking-time-zone');
+                label.textContent = templates.message('booking.show_times_in');
+
+                const select = document.createElement('select');
+                select.id = 'booking-time-zone';
+                select.className = 'form-select';
+                this.getTimeZoneOptions(timeZone).forEach(zone => {
+                    const option = document.createElement('option');
+                    const name = zone.replace(/_/g, ' ');
+                    option.value = zone;
+                    option.textContent = zone === this.getVisitorTimeZone()
+                        ? templates.message('booking.detected_zone', { zone: name })
+                        : name;
+                    option.selected = zone === timeZone;
+                    select.appendChild(option);
+                });
+
+                select.addEventListener('change', () => {
+                    const zone = select.value;
+                    try {
+                        this.renderSlots(widget, slots, zone, { selectable });
+                    } catch (error) {
+                        // Keep the slots on screen in the zone they were in
+                        console.warn(`Could not show times in "${zone}":`, error);
+                        select.value = timeZone;
+                        return;
+                    }
+
+                    this.setPreferredTimeZone(zone);
+                    utils.$('#booking-time-zone', widget).focus();
+                });
+
+                picker.append(label, select);
+                widget.appendChild(picker);
+            }
+
+            const days = new Map();
+            upcoming.forEach(date => {
+                const dayLabel = this.formatSlot(date, timeZone, { weekday: 'long', month: 'short', day: 'numeric' });
+                if (!days.has(dayLabel)) days.set(dayLabel, []);
+                days.get(dayLabel).push(date);
+            });
+
+            const list = document.createElement('div');
+            list.className = 'booking-days';
+
+            days.forEach((dates, dayLabel) => {
+                const day = document.createElement('div');
+                day.className = 'booking-day';
+
+                const heading = document.createElement('h4');
+                heading.textContent = dayLabel;
+
+                const group = document.createElement('div');
+                group.className = 'booking-slots';
+                group.setAttribute('role', 'group');
+                group.setAttribute('aria-label', dayLabel);
+
+                dates.forEach(date => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'booking-slot';
+
+                    const local = document.createElement('span');
+                    local.textContent = this.formatSlot(date, timeZone, { hour: 'numeric', minute: '2-digit' });
+
+                    const home = document.createElement('small');
+                    home.textContent = templates.message('booking.home_time', {
+                        time: this.formatSlot(date, this.homeTimeZone, { hour: 'numeric', minute: '2-digit' })
+                    });
+
+                    button.append(local, home);
+                    button.addEventListener('click', () => this.showConfirm(widget, date, timeZone));
+                    group.appendChild(button);
+                });
+
+                day.append(heading, group);
+                list.appendChild(day);
+            });
+
+            widget.appendChild(list);
+        },
+
+        // Confirmation step: a small form sent through the same transports as
+        // the audit form, configured by the widget's data-transport attributes
+        showConfirm(widget, date, timeZone) {
+            const slotsView = utils.$('.booking-days', widget);
+            if (slotsView) slotsView.hidden = true;
+            Object.assign(this.view, { stage: 'confirm', date, stale: false });
+
+            const form = document.createElement('form');
+            form.className = 'booking-confirm';
+            form.id = 'booking-confirm';
+            ['data-transport', 'data-endpoint', 'data-mailto', 'data-payload-map'].forEach(name => {
+                if (widget.hasAttribute(name)) form.setAttribute(name, widget.getAttribute(name));
+            });
+            form.setAttribute('data-mailto-subject', 'booking.mail_subject');
+
+            const localLabel = this.formatSlot(date, timeZone);
+            const homeLabel = this.formatSlot(date, this.homeTimeZone);
+
+            form.innerHTML = `
+                <h4 data-i18n="booking.confirm_title"></h4>
+                <p class="booking-summary"></p>
+                <div class="form-group">
+                    <label for="booking-name" data-i18n="form.name"></label>
+                    <input type="text" id="booking-name" name="name" required class="form-input" autocomplete="name">
+                </div>
+                <div class="form-group">
+                    <label for="booking-email" data-i18n="form.email"></label>
+                    <input type="email" id="booking-email" name="email" required class="form-input" autocomplete="email">
+                </div>
+                <input type="hidden" name="slot">
+                <input type="hidden" name="time_zone">
+                <div class="booking-actions">
+                    <button type="button" class="btn btn-ghost" data-booking-back data-i18n="booking.back"></button>
+                    <button type="submit" class="btn btn-primary" data-label-idle="booking.confirm" data-icon-idle="fas fa-calendar-check"></button>
+                </div>
+            `;
+            form.elements.slot.value = date.toISOString();
+            form.elements.time_zone.value = timeZone;
+            i18n.translate(form);
+            this.renderSummary(form, date, timeZone);
+
+            const submitButton = utils.$('[type="submit"]', form);
+            templates.renderButton(submitButton, 'idle');
+
+            utils.$('[data-booking-back]', form).addEventListener('click', () => {
+                form.remove();
+                if (slotsView) slotsView.hidden = false;
+
+                const stale = this.view.stale;
+                Object.assign(this.view, { stage: 'slots', stale: false });
+                // The slot list is still in the previous language
+                if (stale) this.relocalizeSlots(this.view);
+            });
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (!(await validator.validateForm(form))) return;
+
+                // Loading state first, the spam challenge can take a moment
+                submitButton.disabled = true;
+                templates.renderButton(submitButton, 'loading');
+
+                const result = await this.submit(form, {
+                    slot_label: `${localLabel} (${timeZone}) / ${homeLabel} (Iraq)`
+                });
+
+                if (result.ok || result.queued) {
+                    this.showBooked(widget, date, timeZone, Boolean(result.queued));
+                } else if (result.handedOff) {
+                    this.showHandoff(widget, date, timeZone);
+                } else {
+                    submitButton.disabled = false;
+                    templates.renderButton(submitButton, 'idle');
+                    validator.showError(utils.$('#booking-email', form), result.message || templates.message('booking.failed'));
+                }
+            });
+
+            widget.appendChild(form);
+            validator.attach(form, { submit: false });
+            spamGuard.watch(form);
+            utils.$('#booking-name', form).focus();
+        },
+
+        // Same enrichers and pipeline as the audit form: spam scoring,
+        // transport, offline queue
+        async submit(form, extra = {}) {
+            const formData = new FormData(form);
+            Object.keys(extra).forEach(key => formData.set(key, extra[key]));
+            formHandler.enrich(form, formData);
+
+            return formHandler.deliver(form, formData);
+        },
+
+        showBooked(widget, date, timeZone, queued = false) {
+            this.showDone(widget, queued ? 'queued' : 'booked', date, timeZone, 'fas fa-check-circle');
+
+            widget.dispatchEvent(new CustomEvent('booking:booked', {
+                bubbles: true,
+                detail: { queued, timeZone: this.getPreferredTimeZone() }
+            }));
+        },
+
+        // mailto only opens the visitor's email app, so nothing is booked yet
+        showHandoff(widget, date, timeZone) {
+            this.showDone(widget, 'handoff', date, timeZone, 'fas fa-envelope-open-text');
+
+            widget.dispatchEvent(new CustomEvent('booking:handoff', {
+                bubbles: true,
+                detail: { timeZone: this.getPreferredTimeZone() }
+            }));
+        },
+
+        doneMessages: {
+            booked: { title: 'booking.booked_title', text: 'booking.booked_text' },
+            queued: { title: 'booking.booked_title', text: 'booking.booked_queued' },
+            handoff: { title: 'booking.handoff_title', text: 'booking.handoff_text' }
+        },
+
+        showDone(widget, stage, date, timeZone, icon) {
+            this.view = { stage, widget, date, timeZone };
+            widget.innerHTML = '';
+
+            const done = document.createElement('div');
+            done.className = 'booking-done';
+            done.setAttribute('role', 'status');
+            done.setAttribute('tabindex', '-1');
+            done.innerHTML = `<div class="success-icon">${templates.icon(icon)}</div><h4></h4><p></p>`;
+            this.renderDone(done, this.view);
+
+            widget.appendChild(done);
+            done.focus();
+        },
+
+        renderDone(done, view) {
+            const messages = this.doneMessages[view.stage];
+            utils.$('h4', done).textContent = templates.message(messages.title, { time: this.formatSlot(view.date, view.timeZone) });
+            utils.$('p', done).textContent = templates.message(messages.text);
+        },
+
+        renderSummary(form, date, timeZone) {
+            utils.$('.booking-summary', form).textContent = templates.message('booking.summary', {
+                local: this.formatSlot(date, timeZone),
+                home: this.formatSlot(date, this.homeTimeZone),
+                minutes: 15
+            });
+        },
+
+        // Redraw whatever step the widget is on in the current language
+        relocalize() {
+            const view = this.view;
+            if (!view || !view.widget.isConnected) return;
+
+            if (view.stage === 'slots') {
+                this.relocalizeSlots(view);
+            } else if (view.stage === 'confirm') {
+                const form = utils.$('.booking-confirm', view.widget);
+                if (form) {
+                    const submitButton = utils.$('[type="submit"]', form);
+                    this.renderSummary(form, view.date, view.timeZone);
+                    templates.renderButton(submitButton, submitButton.disabled ? 'loading' : 'idle');
+                }
+                view.stale = true;
+            } else {
+                const done = utils.$('.booking-done', view.widget);
+                if (done) this.renderDone(done, view);
+            }
+        },
+
+        relocalizeSlots(view) {
+            try {
+                this.renderSlots(view.widget, view.slots, view.timeZone, { selectable: view.selectable });
+            } catch (error) {
+                // Every slot has passed since it loaded; keep what's on screen
+            }
+        }
+    };
+
+    // Calendly inline embed; data-booking-src is the scheduling page URL
+    booking.registerProvider('calendly', {
+        async load(widget, { src, signal }) {
+            if (!src) throw new Error('Calendly URL missing');
+            await utils.loadScript('https://assets.calendly.com/assets/external/widget.js');
+            if (signal.aborted) return;
+
+            widget.classList.add('booking-embed');
+            window.Calendly.initInlineWidget({ url: src, parentElement: widget });
+        }
+    });
+
+    // Cal.com (or any embeddable booking page) in an iframe
+    booking.registerProvider('cal', {
+        load(widget, { src, signal }) {
+            if (!src) return Promise.reject(new Error('Cal.com URL missing'));
+
+            return new Promise((resolve, reject) => {
+                const url = new URL(src);
+                url.searchParams.set('embed', 'true');
+
+                const iframe = document.createElement('iframe');
+                iframe.src = url.toString();
+                iframe.title = templates.message('booking.embed_title');
+                iframe.className = 'booking-iframe';
+                iframe.addEventListener('load', resolve, { once: true });
+                iframe.addEventListener('error', () => reject(new Error('Cal.com embed failed')), { once: true });
+                signal.addEventListener('abort', () => iframe.remove(), { once: true });
+
+                widget.classList.add('booking-embed');
+                widget.appendChild(iframe);
+            });
+        }
+    });
+
+    // Built-in picker. The availability JSON either lists explicit
+    // { "slots": ["2026-11-02T10:00:00+03:00", ...] } or gives working hours:
+    // { "timeZone": "Asia/Baghdad", "slotMinutes": 15, "daysAhead": 14, "minNoticeHours": 12,
+    //   "workingHours": { "mon": [["10:00", "13:00"]] }, "blockedDates": ["2026-11-05"] }
+    booking.registerProvider('native', {
+        async load(widget, { src, signal }) {
+            if (!src) throw new Error('Availability URL missing');
+
+            const response = await fetch(src, { headers: { 'Accept': 'application/json' }, signal });
+            if (!response.ok) throw new Error(`Availability returned ${response.status}`);
+
+            const availability = await response.json();
+            if (signal.aborted) return;
+            const slots = availability.slots || booking.generateSlots(availability);
+            booking.renderSlots(widget, slots, booking.getPreferredTimeZone(), { selectable: true });
+        }
+    });
+
+    // Form Validation and Submission Module
+    const formHandler = {
+        // Functions (formData, form) => void that add context to each audit
+        // submission. Other modules push onto this from their init(). Keys
+        // start with "_" so the duplicate fingerprint and the human-readable
+        // message only ever see what the visitor typed.
+        payloadEnrichers: [],
+
+        init() {
+            this.form = utils.$('#audit-form');
+            this.submitButton = utils.$('.btn-submit');
+            this.loadingDiv = utils.$('#form-loading');
+            this.successDiv = utils.$('#form-success');
+            this.queuedDiv = utils.$('#form-queued');
+            this.handoffDiv = utils.$('#form-handoff');
+            this.errorDiv = utils.$('#form-error');
+            this.errorMessage = utils.$('#form-error-message');
+            this.retryButton = utils.$('[data-form-retry]');
+            this.lastFormData = null;
+
+            if (!this.form) return;
+
+            this.fields = {
+                name: utils.$('#name'),
+                email: utils.$('#email'),
+                businessType: utils.$('#business-type'),
+                website: utils.$('#website'),
+                message: utils.$('#message')
+            };
+
+            // Validation comes from validator.schemas['audit-form']
+            validator.attach(this.form, { submit: false });
+            spamGuard.watch(this.form);
+
+            this.bindEvents();
+            this.initWizard();
+            this.initDrafts();
+            this.renderSubmitButton('idle');
+        },
+
+        // Draft autosave: field values are kept in localStorage while the visitor
+        // types and offered back to them on their next visit. While the restore
+        // prompt is open, new typing is saved to a separate slot so it neither
+        // overwrites the draft on offer nor gets lost.
+        draftMaxAge: 7 * 24 * 60 * 60 * 1000,
+
+        initDrafts() {
+            this.draftKey = `armanleads:draft:${this.form.id}`;
+            this.pendingDraftKey = `${this.draftKey}:pending`;
+            this.draftPrompt = utils.$('#draft-prompt');
+            this.draftPending = false;
+            // Fields edited while the prompt was open; restoring won't touch them
+            this.pendingEdits = new Set();
+
+            const saveDraft = utils.debounce(() => this.saveDraft(), 500);
+            ['input', 'change'].forEach(type => {
+                this.form.addEventListener(type, (e) => {
+                    if (this.draftPending && e.target.name) this.pendingEdits.add(e.target.name);
+                    saveDraft();
+                });
+            });
+
+            // Save right away when leaving the page so the last keystrokes aren't lost
+            window.addEventListener('pagehide', () => this.saveDraft());
+
+            const draft = this.readDraft();
+            if (draft) {
+                this.offerDraft(draft);
+            }
+        },
+
+        // Fields worth saving. The honeypot is never persisted.
+        getDraftFields() {
+            return Array.from(this.form.elements).filter(field => {
+                if (!field.name || field.closest('.honeypot')) return false;
+                return !/^(hidden|submit|button|reset|password|file)$/.test(field.type);
+            });
+        },
+
+        // The newest of the saved draft and anything typed behind an unanswered prompt
+        readDraft() {
+            const drafts = [this.draftKey, this.pendingDraftKey]
+                .map(key => this.readDraftSlot(key))
+                .filter(Boolean)
+                .sort((a, b) => b.savedAt - a.savedAt);
+
+            return drafts[0] || null;
+        },
+
+        readDraftSlot(key) {
+            try {
+                const draft = JSON.parse(localStorage.getItem(key));
+                if (!draft || !draft.values) return null;
+
+                if (Date.now() - draft.savedAt > this.draftMaxAge) {
+                    localStorage.removeItem(key);
+                    return null;
+                }
+                return draft;
+            } catch {
+                return null;
+            }
+        },
+
+        saveDraft() {
+            if (state.isSubmitting) return;
+
+            const key = this.draftPending ? this.pendingDraftKey : this.draftKey;
+
+            const values = {};
+            this.getDraftFields().forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    if (field.checked) values[field.name] = field.value;
+                } else if (field.value.trim()) {
+                    values[field.name] = field.value;
+                }
+            });
+
+            try {
+                if (Object.keys(values).length === 0) {
+                    localStorage.removeItem(key);
+                    return;
+                }
+
+                localStorage.setItem(key, JSON.stringify({
+                    savedAt: Date.now(),
+                    step: state.wizard.step,
+                    values
+                }));
+            } catch {
+                // Storage full or disabled, autosave is best effort
+            }
+        },
+
+        clearDraft() {
+            try {
+                localStorage.removeItem(this.draftKey);
+                localStorage.removeItem(this.pendingDraftKey);
+            } catch {
+                // Nothing to clear
+            }
+        },
+
+        offerDraft(draft) {
+            if (!this.draftPrompt) {
+                this.restoreDraft(draft);
+                return;
+            }
+
+            this.draftPending = true;
+
+            const message = utils.$('[data-draft-message]', this.draftPrompt);
+            const renderMessage = () => {
+                if (!message) return;
+                message.textContent = templates.message('draft.prompt', {
+                    time: i18n.formatDate(new Date(draft.savedAt), { dateStyle: 'medium', timeStyle: 'short' })
+                }, this.form);
+            };
+            renderMessage();
+            document.addEventListener('i18n:change', renderMessage);
+
+            const restoreButton = utils.$('[data-draft-restore]', this.draftPrompt);
+            const discardButton = utils.$('[data-draft-discard]', this.draftPrompt);
+
+            const resolve = (restore) => {
+                this.draftPending = false;
+                this.draftPrompt.setAttribute('hidden', '');
+                document.removeEventListener('i18n:change', renderMessage);
+
+                if (restore) {
+                    this.restoreDraft(draft, this.pendingEdits);
+                }
+                this.pendingEdits.clear();
+
+                // What's in the form now, restored or typed meanwhile, is the draft
+                this.clearDraft();
+                this.saveDraft();
+            };
+
+            if (restoreButton) restoreButton.addEventListener('click', () => resolve(true), { once: true });
+            if (discardButton) discardButton.addEventListener('click', () => resolve(false), { once: true });
+
+            this.draftPrompt.removeAttribute('hidden');
+        },
+
+        restoreDraft(draft, skip = new Set()) {
+            this.getDraftFields().forEach(field => {
+                if (!(field.name in draft.values) || skip.has(field.name)) return;
+
+                const value = draft.values[field.name];
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = field.value === value;
+                } else {
+                    field.value = value;
+                }
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+
+            if (this.steps) {
+                this.goToStep(draft.step || 0);
+            } else {
+                const firstField = this.getDraftFields()[0];
+                if (firstField) firstField.focus();
+            }
+        },
+
+        // Multi-step mode, enabled when the form is split into [data-step] fieldsets
+        initWizard() {
+            this.steps = utils.$$('[data-step]', this.form);
+            if (this.steps.length < 2) {
+                this.steps = null;
+                return;
+            }
+
+            this.wizardProgress = utils.$('[data-wizard-progress]', this.form);
+            this.wizardStatus = utils.$('#wizard-status');
+            this.wizardBar = utils.$('.wizard-bar-fill', this.form);
+            this.stepIndicators = utils.$$('[data-step-indicator]', this.form);
+            this.wizardNav = utils.$('[data-wizard-nav]', this.form);
+            this.backButton = utils.$('[data-wizard-back]', this.form);
+            this.nextButton = utils.$('[data-wizard-next]', this.form);
+            this.reviewContainer = utils.$('[data-wizard-review]', this.form);
+
+            if (this.wizardProgress) this.wizardProgress.removeAttribute('hidden');
+            if (this.wizardNav) this.wizardNav.removeAttribute('hidden');
+
+            if (this.backButton) {
+                this.backButton.addEventListener('click', () => this.prevStep());
+            }
+            if (this.nextButton) {
+                this.nextButton.addEventListener('click', () => this.nextStep());
+            }
+
+            // Enter advances instead of submitting early; Alt+Arrow moves between steps
+            this.form.addEventListener('keydown', (e) => {
+                const isLastStep = state.wizard.step === this.steps.length - 1;
+
+                if (e.key === 'Enter' && !isLastStep && /^(INPUT|SELECT)$/.test(e.target.tagName)) {
+                    e.preventDefault();
+                    this.nextStep();
+                } else if (e.altKey && e.key === 'ArrowRight' && !isLastStep) {
+                    e.preventDefault();
+                    this.nextStep();
+                } else if (e.altKey && e.key === 'ArrowLeft' && state.wizard.step > 0) {
+                    e.preventDefault();
+                    this.prevStep();
+                }
+            });
+
+            this.goToStep(state.wizard.step, { focus: false });
+        },
+
+        async nextStep() {
+            const current = this.steps[state.wizard.step];
+            if (!(await validator.validateForm(this.form, current))) return;
+
+            this.goToStep(state.wizard.step + 1);
+        },
+
+        prevStep() {
+            this.goToStep(state.wizard.step - 1);
+        },
+
+        goToStep(index, { focus = true } = {}) {
+            const lastIndex = this.steps.length - 1;
+            const step = Math.max(0, Math.min(index, lastIndex));
+
+            state.wizard.step = step;
+
+            this.steps.forEach((fieldset, i) => {
+                fieldset.hidden = i !== step;
+            });
+
+            this.stepIndicators.forEach((indicator, i) => {
+                indicator.classList.toggle('is-current', i === step);
+                indicator.classList.toggle('is-complete', i < step);
+                if (i === step) {
+                    indicator.setAttribute('aria-current', 'step');
+                } else {
+                    indicator.removeAttribute('aria-current');
+                }
+            });
+
+            const title = utils.$('.form-step-title', this.steps[step]);
+            if (this.wizardStatus) {
+                this.wizardStatus.textContent = templates.message('wizard.status', {
+                    step: step + 1,
+                    total: this.steps.length,
+                    title: title ? title.textContent : ''
+                }, this.form);
+            }
+            if (this.wizardBar) {
+                this.wizardBar.style.width = `${((step + 1) / this.steps.length) * 100}%`;
+            }
+
+            if (this.backButton) this.backButton.hidden = step === 0;
+            if (this.nextButton) this.nextButton.hidden = step === lastIndex;
+            if (this.submitButton) this.submitButton.hidden = step !== lastIndex;
+
+            if (step === lastIndex) {
+                this.renderReview();
+            }
+
+            if (focus && title) {
+                title.setAttribute('tabindex', '-1');
+                title.focus();
+            }
+        },
+
+        // Summarize every earlier step with an "Edit" shortcut back to it
+        renderReview() {
+            if (!this.reviewContainer) return;
+
+            this.reviewContainer.innerHTML = '';
+
+            const optional = templates.message('form.optional', {}, this.form).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const optionalSuffix = new RegExp(`\\s*\\(${optional}\\)\\s*$`, 'i');
+
+            this.steps.slice(0, -1).forEach((fieldset, stepIndex) => {
+                const section = document.createElement('div');
+                section.className = 'wizard-review-section';
+
+                const header = document.createElement('div');
+                header.className = 'wizard-review-header';
+
+                const heading = document.createElement('h4');
+                const title = utils.$('.form-step-title', fieldset);
+                heading.textContent = title ? title.textContent : '';
+
+                const editButton = document.createElement('button');
+                editButton.type = 'button';
+                editButton.className = 'wizard-review-edit';
+                editButton.innerHTML = `${templates.icon('edit')} `;
+                editButton.append(templates.message('form.review_edit', {}, this.form));
+                editButton.setAttribute('aria-label', templates.message('form.review_edit_label', { section: heading.textContent }, this.form));
+                editButton.addEventListener('click', () => this.goToStep(stepIndex));
+
+                header.append(heading, editButton);
+
+                const list = document.createElement('dl');
+                utils.$$('input, select, textarea', fieldset).forEach(field => {
+                    if (!field.name || /^(hidden|submit|button)$/.test(field.type)) return;
+
+                    const term = document.createElement('dt');
+                    term.textContent = field.labels && field.labels[0]
+                        ? field.labels[0].textContent.replace(optionalSuffix, '')
+                        : field.name;
+
+                    const description = document.createElement('dd');
+                    const value = field.tagName === 'SELECT'
+                        ? (field.value ? field.selectedOptions[0].textContent : '')
+                        : field.value.trim();
+                    description.textContent = value || templates.message('form.review_empty', {}, this.form);
+                    if (!value) description.classList.add('is-empty');
+
+                    list.append(term, description);
+                });
+
+                section.append(header, list);
+                this.reviewContainer.appendChild(section);
+            });
+        },
+
+        bindEvents() {
+            // Form submission
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit();
+            });
+
+            document.addEventListener('i18n:change', () => {
+                if (this.steps) this.goToStep(state.wizard.step, { focus: false });
+                if (this.submitButton) {
+                    templates.renderButton(this.submitButton, this.submitButton.getAttribute('data-button-state'));
+                }
+
+                const reason = this.errorDiv && this.errorDiv.getAttribute('data-reason');
+                if (reason && this.errorMessage) {
+                    this.errorMessage.textContent = templates.message(this.errorMessages[reason], {}, this.form);
+                }
+            });
+
+            // Queued submissions settle later, possibly on another visit
+            document.addEventListener('submission:sent', (e) => {
+                if (e.detail.item.formId !== this.form.id) return;
+                if (this.queuedDiv && !this.queuedDiv.hidden) {
+                    this.queuedDiv.setAttribute('hidden', '');
+                    this.setSubmitState('success');
+                }
+            });
+
+            // A dropped entry gets the normal error panel, with the saved answers
+            // behind "Try again" and the WhatsApp/email fallbacks
+            document.addEventListener('submission:dropped', (e) => {
+                const { item, result } = e.detail;
+                if (item.formId !== this.form.id) return;
+
+                if (this.queuedDiv) {
+                    this.queuedDiv.setAttribute('hidden', '');
+                }
+                this.lastFormData = submissionQueue.toFormData(item);
+                this.setSubmitState('error', Object.assign({}, result, { reason: 'queue-dropped' }));
+                this.dispatch('form:error', { reason: 'queue-dropped', status: result.status });
+            });
+
+            // Resend the last submission from the error panel
+            if (this.retryButton) {
+                this.retryButton.addEventListener('click', () => {
+                    if (this.lastFormData) {
+                        this.submit(this.lastFormData);
+                    }
+                });
+            }
+        },
+
+        validateField(fieldName) {
+            return validator.validateField(this.fields[fieldName]);
+        },
+
+        async validateForm() {
+            const isValid = await validator.validateForm(this.form);
+
+            // In wizard mode the first invalid field may sit in a hidden step
+            if (!isValid && this.steps) {
+                this.revealFirstError();
+            }
+
+            return isValid;
+        },
+
+        // Show the step holding the first invalid field and focus it
+        revealFirstError() {
+            const firstErrorField = utils.$('[aria-invalid="true"]', this.form);
+            if (!firstErrorField) return;
+
+            const stepIndex = this.steps ? this.steps.findIndex(step => step.contains(firstErrorField)) : -1;
+            if (stepIndex !== -1) {
+                this.goToStep(stepIndex, { focus: false });
+            }
+            firstErrorField.focus();
+        },
+
+        async handleSubmit() {
+            if (state.isSubmitting) return;
+
+            // Before the review step, submitting just moves the wizard forward
+            if (this.steps && state.wizard.step < this.steps.length - 1) {
+                await this.nextStep();
+                return;
+            }
+
+            // Validate form (focuses the first invalid field)
+            if (!(await this.validateForm())) return;
+
+            const formData = new FormData(this.form);
+            this.enrich(this.form, formData);
+
+            await this.submit(formData);
+        },
+
+        // Shared with the booking form, so both carry the same context
+        enrich(form, formData) {
+            this.payloadEnrichers.forEach(enrich => {
+                try {
+                    enrich(formData, form);
+                } catch (error) {
+                    console.error('Payload enricher failed:', error);
+                }
+            });
+        },
+
+        // Spam scoring, transport and offline queue for any form. Resolves to
+        // the transport result, flagged `blocked` when the honeypot caught a
+        // bot (nothing was sent) or `queued` when it waits for a replay.
+        async deliver(form, formData) {
+            // "Try again" resends data that already carries its verdict
+            if (!formData.has('_spam_verdict')) {
+                const verdict = await spamGuard.evaluate(form, formData);
+                if (verdict.blocked) return Object.assign(transports.normalize({ ok: true }), { blocked: true });
+
+                spamGuard.attach(formData, verdict);
+            }
+
+            const result = await transports.send(form, formData);
+
+            if (result.ok) {
+                spamGuard.remember(spamGuard.fingerprint(formData));
+            } else if (!result.handedOff && result.fieldErrors.length === 0 &&
+                submissionQueue.shouldQueue(result) && submissionQueue.add(form, formData)) {
+                result.queued = true;
+            }
+
+            return result;
+        },
+
+        // Send already-validated data. Kept separate from handleSubmit so the
+        // error panel's "Try again" can resend exactly what was submitted.
+        async submit(formData) {
+            if (state.isSubmitting) return;
+
+            state.isSubmitting = true;
+            this.lastFormData = formData;
+            // Loading state first, the spam challenge can take a moment
+            this.setSubmitState('loading');
+
+            try {
+                const result = await this.deliver(this.form, formData);
+
+                if (result.blocked) {
+                    // Bots that filled the honeypot get a fake success and nothing is sent
+                    this.setSubmitState('success');
+                    this.resetForm();
+                } else if (result.ok) {
+                    this.setSubmitState('success');
+                    this.dispatch('form:success', { queued: false });
+                    this.resetForm();
+                } else if (result.handedOff) {
+                    // Nothing is sent until they press send in their email app,
+                    // so keep the form and draft in case it never opened
+                    this.setSubmitState('handoff');
+                    this.dispatch('form:handoff');
+                } else if (result.fieldErrors.length > 0) {
+                    this.handleFormErrors(result.fieldErrors);
+                    this.dispatch('form:error', { reason: 'validation', status: result.status });
+                } else if (result.queued) {
+                    this.setSubmitState('queued', result);
+                    this.dispatch('form:success', { queued: true });
+                    this.resetForm();
+                } else {
+                    this.setSubmitState('error', result);
+                    this.dispatch('form:error', { reason: this.classifyError(result), status: result.status });
+                }
+            } catch (error) {
+                console.error('Form submission error:', error);
+                this.setSubmitState('error', { status: 0, message: error.message });
+                this.dispatch('form:error', { reason: 'network', status: 0 });
+            } finally {
+                state.isSubmitting = false;
+            }
+        },
+
+        dispatch(name, detail = {}) {
+            this.form.dispatchEvent(new CustomEvent(name, {
+                bubbles: true,
+                detail: Object.assign({ formId: this.form.id }, detail)
+            }));
+        },
+
+        // Sort a failed result into a reason the visitor can act on
+        classifyError(result = {}) {
+            const status = result.status || 0;
+            const message = result.message || '';
+
+            if (status === 429) return 'rate-limited';
+            if (status === 403 || /spam|captcha|blocked/i.test(message)) return 'spam-blocked';
+            if (status === 400 || status === 422) return 'validation';
+            if (status === 0) return 'network';
+            return 'server';
+        },
+
+        // i18n keys per reason from classifyError
+        errorMessages: {
+            'network': 'error.network',
+            'validation': 'error.validation',
+            'rate-limited': 'error.rate-limited',
+            'spam-blocked': 'error.spam-blocked',
+            'server': 'error.server',
+            'queue-dropped': 'error.queue-dropped'
+        },
+
+        // Title and text keys for the queued panel, per submissionQueue.reasonFor
+        queuedMessages: {
+            'offline': ['form.queued_title', 'form.queued_text'],
+            'network': ['form.queued_title_network', 'form.queued_text_retry'],
+            'server': ['form.queued_title_server', 'form.queued_text_retry']
+        },
+
+        showQueued(result) {
+            if (!this.queuedDiv) return;
+
+            const keys = this.queuedMessages[submissionQueue.reasonFor(result)];
+            [utils.$('h3', this.queuedDiv), utils.$('p', this.queuedDiv)].forEach((element, index) => {
+                if (!element) return;
+                element.setAttribute('data-i18n', keys[index]);
+                element.textContent = templates.message(keys[index], {}, this.form);
+            });
+
+            this.queuedDiv.removeAttribute('hidden');
+            this.queuedDiv.setAttribute('role', 'status');
+            this.queuedDiv.focus();
+        },
+
+        showError(result) {
+            if (!this.errorDiv) return;
+
+            const reason = result.reason || this.classifyError(result);
+            this.errorDiv.setAttribute('data-reason', reason);
+
+            // Retrying won't help if the submission was blocked as spam
+            if (this.retryButton) {
+                this.retryButton.hidden = reason === 'spam-blocked';
+            }
+
+            this.updateAlternateContacts();
+            this.errorDiv.removeAttribute('hidden');
+
+            // Set the text after unhiding so screen readers announce the change
+            if (this.errorMessage) {
+                this.errorMessage.textContent = templates.message(this.errorMessages[reason], {}, this.form);
+            }
+            this.errorDiv.focus();
+        },
+
+        hideError() {
+            if (!this.errorDiv) return;
+
+            this.errorDiv.setAttribute('hidden', '');
+            this.errorDiv.removeAttribute('data-reason');
+            if (this.errorMessage) {
+                this.errorMessage.textContent = '';
+            }
+        },
+
+        // Pre-fill the WhatsApp and email fallbacks with what the visitor typed
+        updateAlternateContacts() {
+            const formData = this.lastFormData || new FormData(this.form);
+            const body = [templates.message('form.alt_contact_intro', {}, this.form), '']
+                .concat(transports.toLines(this.form, formData))
+                .join('\n');
+
+            utils.$$('[data-alt-contact]', this.errorDiv).forEach(link => {
+                const channel = link.getAttribute('data-alt-contact');
+                const base = link.getAttribute('data-href') || link.getAttribute('href').split('?')[0];
+                link.setAttribute('data-href', base);
+
+                if (channel === 'whatsapp') {
+                    link.setAttribute('href', `${base}?text=${encodeURIComponent(body)}`);
+                } else if (channel === 'email') {
+                    const subject = encodeURIComponent(templates.message('form.alt_contact_subject', {}, this.form));
+                    link.setAttribute('href', `${base}?subject=${subject}&body=${encodeURIComponent(body)}`);
+                }
+            });
+        },
+
+        handleFormErrors(errors) {
+            errors.forEach(error => {
+                const field = error.field && this.getField(error.field);
+
+                if (field) {
+                    validator.showError(field, error.message || templates.message('validation.server', {}, field));
+                }
+            });
+
+            this.setSubmitState('idle');
+            this.revealFirstError();
+        },
+
+        // Any control the server names, by its submitted name (e.g. "ad_spend")
+        // or one of our keys in this.fields (e.g. "businessType")
+        getField(name) {
+            const field = this.form.elements[name] || this.fields[name];
+            // Radio groups come back as a RadioNodeList
+            return field && !field.nodeType ? field[0] : field;
+        },
+
+        setSubmitState(newState, result) {
+            if (newState !== 'error') {
+                this.hideError();
+            }
+
+            switch (newState) {
+                case 'loading':
+                    this.renderSubmitButton('loading');
+                    if (this.loadingDiv) {
+                        this.loadingDiv.removeAttribute('hidden');
+                    }
+                    if (this.successDiv) {
+                        this.successDiv.setAttribute('hidden', '');
+                    }
+                    if (this.queuedDiv) {
+                        this.queuedDiv.setAttribute('hidden', '');
+                    }
+                    if (this.handoffDiv) {
+                        this.handoffDiv.setAttribute('hidden', '');
+                    }
+                    break;
+
+                case 'success':
+                    if (this.loadingDiv) {
+                        this.loadingDiv.setAttribute('hidden', '');
+                    }
+                    if (this.successDiv) {
+                        this.successDiv.removeAttribute('hidden');
+                        this.successDiv.setAttribute('role', 'status');
+                        this.successDiv.focus();
+                    }
+                    this.renderSubmitButton('success');
+                    break;
+
+                case 'queued':
+                    if (this.loadingDiv) {
+                        this.loadingDiv.setAttribute('hidden', '');
+                    }
+                    this.showQueued(result);
+                    this.renderSubmitButton('idle');
+                    break;
+
+                case 'handoff':
+                    if (this.loadingDiv) {
+                        this.loadingDiv.setAttribute('hidden', '');
+                    }
+                    if (this.handoffDiv) {
+                        this.handoffDiv.removeAttribute('hidden');
+                        this.handoffDiv.setAttribute('role', 'status');
+                        this.handoffDiv.focus();
+                    }
+                    this.renderSubmitButton('idle');
+                    break;
+
+                case 'error':
+                    if (this.loadingDiv) {
+                        this.loadingDiv.setAttribute('hidden', '');
+                    }
+                    this.renderSubmitButton('idle');
+                    this.showError(result);
+                    break;
+
+                case 'idle':
+                default:
+                    this.renderSubmitButton('idle');
+                    if (this.loadingDiv) {
+                        this.loadingDiv.setAttribute('hidden', '');
+                    }
+                    break;
+            }
+        },
+
+        // The success label shows briefly, then the button is ready again
+        successLabelMs: 4000,
+
+        renderSubmitButton(buttonState) {
+            if (!this.submitButton) return;
+
+            clearTimeout(this.submitButtonTimer);
+            this.submitButton.disabled = buttonState === 'loading';
+            templates.renderButton(this.submitButton, buttonState);
+
+            if (buttonState === 'success') {
+                this.submitButtonTimer = setTimeout(() => this.renderSubmitButton('idle'), this.successLabelMs);
+            }
+        },
+
+        resetForm() {
+            // Reset form fields and drop the saved draft
+            this.form.reset();
+            this.clearDraft();
+
+            // Reset validation states
+            validator.reset(this.form);
+
+            if (this.steps) {
+                this.goToStep(0, { focus: false });
+            }
+        }
+    };
+
+    // Preloader Removal Module
+    const preloader = {
+        init() {
+            this.preloaderElement = utils.$('#preloader');
+            if (!this.preloaderElement) return;
+
+            // Remove preloader on window load
+            window.addEventListener('load', () => {
+                this.remove();
+            });
+
+            // Fallback: remove after 3 seconds regardless
+            setTimeout(() => {
+                this.remove();
+            }, 3000);
+        },
+
+        remove() {
+            if (this.preloaderElement) {
+                this.preloaderElement.style.opacity = '0';
+                this.preloaderElement.style.transition = 'opacity 0.3s ease-out';
+                
+                setTimeout(() => {
+                    if (this.preloaderElement.parentNode) {
+                        this.preloaderElement.parentNode.removeChild(this.preloaderElement);
+                    }
+                }, 300);
+            }
+        }
+    };
+
+    // Scroll Spy Module
+    const scrollSpy = {
+        depthMilestones: [25, 50, 75, 100],
+        // Time in view before a section counts as seen
+        seenAfterMs: 1000,
+
+        init() {
+            this.navLinks = utils.$$('.nav-link[href^="#"]');
+            this.sections = [];
+
+            this.initEngagement();
+            
+            // Get sections that exist in DOM
+            state.sections.forEach(sectionId => {
+                const section = utils.$(`#${sectionId}`);
+                if (section) {
+                    this.sections.push({ id: sectionId, element: section });
+                }
+            });
+
+            if (this.sections.length === 0 || this.navLinks.length === 0) return;
+
+            this.createObserver();
+        },
+
+        // Engagement tracking covers every top-level section, including the
+        // ones without a nav link (deliverables, guarantee, about)
+        initEngagement() {
+            this.engagement = {};
+            this.seenOrder = [];
+            this.maxDepth = 0;
+            this.reachedMilestones = [];
+            this.startedAt = Date.now();
+
+            utils.$$('main > section').forEach(element => {
+                const id = element.id || element.classList[0];
+                if (!id || this.engagement[id]) return;
+
+                this.engagement[id] = { id, element, visibleMs: 0, inViewSince: null, seenAt: null };
+            });
+
+            if (Object.keys(this.engagement).length > 0) {
+                const thresholds = [0, 0.1, 0.25, 0.5, 0.75, 1];
+                this.engagementObserver = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => this.updateSectionView(entry));
+                }, { threshold: thresholds });
+
+                Object.values(this.engagement).forEach(section => {
+                    this.engagementObserver.observe(section.element);
+                });
+
+                // Background tabs don't count as reading time
+                document.addEventListener('visibilitychange', () => {
+                    Object.values(this.engagement).forEach(section => {
+                        if (document.visibilityState === 'hidden') {
+                            this.pauseSection(section);
+                        } else if (section.isVisible) {
+                            section.inViewSince = Date.now();
+                        }
+                    });
+                });
+            }
+
+            // One check per frame; the last scroll event always gets its frame,
+            // so the final position (usually the bottom of the page) is never missed
+            let depthFrame = null;
+            window.addEventListener('scroll', () => {
+                if (depthFrame) return;
+                depthFrame = window.requestAnimationFrame(() => {
+                    depthFrame = null;
+                    this.updateDepth();
+                });
+            }, { passive: true });
+            this.updateDepth();
+
+            formHandler.payloadEnrichers.push((formData) => this.appendTo(formData));
+        },
+
+        // A section is in view when half of it is visible, or when it fills
+        // half the viewport (tall sections never reach 50% of themselves)
+        updateSectionView(entry) {
+            const section = Object.values(this.engagement).find(item => item.element === entry.target);
+            if (!section) return;
+
+            const visibleHeight = entry.intersectionRect.height;
+            const isVisible = entry.isIntersecting && (
+                entry.intersectionRatio >= 0.5 || visibleHeight >= window.innerHeight * 0.5
+            );
+
+            section.isVisible = isVisible;
+
+            if (isVisible && section.inViewSince === null && document.visibilityState !== 'hidden') {
+                section.inViewSince = Date.now();
+                clearTimeout(section.seenTimer);
+                section.seenTimer = setTimeout(() => this.markSeen(section), Math.max(0, this.seenAfterMs - section.visibleMs));
+            } else if (!isVisible) {
+                this.pauseSection(section);
+            }
+        },
+
+        pauseSection(section) {
+            clearTimeout(section.seenTimer);
+            if (section.inViewSince === null) return;
+
+            section.visibleMs += Date.now() - section.inViewSince;
+            section.inViewSince = null;
+            if (section.visibleMs >= this.seenAfterMs) this.markSeen(section);
+        },
+
+        markSeen(section) {
+            if (section.seenAt) return;
+
+            section.seenAt = Date.now();
+            this.seenOrder.push(section.id);
+        },
+
+        updateDepth() {
+            const scrollable = document.documentElement.scrollHeight;
+            if (scrollable <= 0) return;
+
+            const depth = Math.min(100, Math.round(((window.scrollY + window.innerHeight) / scrollable) * 100));
+            if (depth <= this.maxDepth) return;
+
+            this.maxDepth = depth;
+            this.depthMilestones.forEach(milestone => {
+                if (depth >= milestone && !this.reachedMilestones.includes(milestone)) {
+                    this.reachedMilestones.push(milestone);
+                    document.dispatchEvent(new CustomEvent('scroll:depth', { detail: { percent: milestone } }));
+                }
+            });
+        },
+
+        // Public snapshot: seconds per section, sections seen in order, depth
+        getEngagement() {
+            const now = Date.now();
+            const sections = Object.values(this.engagement).map(section => ({
+                id: section.id,
+                seconds: Math.round((section.visibleMs + (section.inViewSince !== null ? now - section.inViewSince : 0)) / 1000),
+                seen: Boolean(section.seenAt)
+            }));
+
+            return {
+                sections,
+                seenOrder: this.seenOrder.slice(),
+                maxDepth: this.maxDepth,
+                milestones: this.reachedMilestones.slice(),
+                timeOnPage: Math.round((now - this.startedAt) / 1000)
+            };
+        },
+
+        // Readable summary for the lead email, e.g. "pricing 42s, portfolio 31s".
+        // Reading behaviour is analytics data, so it only rides along with consent.
+        appendTo(formData) {
+            if (!this.engagement || !consent.allows('analytics')) return;
+
+            const engagement = this.getEngagement();
+            const bySeconds = engagement.sections
+                .filter(section => section.seconds > 0)
+                .sort((a, b) => b.seconds - a.seconds)
+                .map(section => `${section.id} ${section.seconds}s`);
+
+            formData.set('_engagement_sections_seen', engagement.seenOrder.join(' > ') || 'none');
+            formData.set('_engagement_time_in_view', bySeconds.join(', ') || 'none');
+            formData.set('_engagement_max_scroll_depth', `${engagement.maxDepth}%`);
+            formData.set('_engagement_time_on_page', `${engagement.timeOnPage}s`);
+        },
+
+        createObserver() {
+            const options = {
+                rootMargin: '-20% 0px -70% 0px',
+                threshold: 0
+            };
+
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.setActiveNavLink(entry.target.id);
+                        entry.target.dispatchEvent(new CustomEvent('section:view', {
+                            bubbles: true,
+                            detail: { id: entry.target.id }
+                        }));
+                    }
+                });
+            }, options);
+
+            // Observe all sections
+            this.sections.forEach(section => {
+                this.observer.observe(section.element);
+            });
+        },
+
+        setActiveNavLink(activeSectionId) {
+            this.navLinks.forEach(link => {
+                const href = link.getAttribute('href');
+                const linkSectionId = href.substring(1); // Remove the #
+
+                if (linkSectionId === activeSectionId) {
+                    link.classList.add('active');
+                    link.setAttribute('aria-current', 'page');
+                } else {
+                    link.classList.remove('active');
+                    link.removeAttribute('aria-current');
+                }
+            });
+        }
+    };
+
+    // Smooth Scroll Module
+    const smoothScroll = {
+        init() {
+            this.anchorLinks = utils.$$('a[href^="#"]');
+            if (this.anchorLinks.length === 0) return;
+
+            this.bindEvents();
+        },
+
+        bindEvents() {
+            this.anchorLinks.forEach(link => {
+                link.addEventListener('click', (e) => {
+                    const href = link.getAttribute('href');
+                    const target = utils.$(href);
+                    
+                    if (target && href !== '#') {
+                        e.preventDefault();
+                        this.scrollToTarget(target);
+                    }
+                });
+            });
+        },
+
+        scrollToTarget(target) {
+            if (utils.prefersReducedMotion()) {
+                target.scrollIntoView();
+                return;
+            }
+
+            // Calculate offset for fixed header
+            const header = utils.$('.site-header');
+            const headerHeight = header ? header.offsetHeight : 0;
+            const targetPosition = target.offsetTop - headerHeight - 20;
+
+            window.scrollTo({
                 top: targetPosition,
                 behavior: 'smooth'
             });
 
-            // Focus management for accessibility
-            setTimeout(() => {
-                target.setAttribute('tabindex', '-1');
-                target.focus();
-                target.addEventListener('blur', () => {
-                    target.removeAttribute('tabindex');
-                }, { once: true });
-            }, 500);
+            // Focus management for accessibility
+            setTimeout(() => {
+                target.setAttribute('tabindex', '-1');
+                target.focus();
+                target.addEventListener('blur', () => {
+                    target.removeAttribute('tabindex');
+                }, { once: true });
+            }, 500);
+        }
+    };
+
+    // Attribution Module
+    // Records where a visitor came from (UTM tags, ad click ids, referrer and
+    // landing page) as a first touch and a last touch, each with its own
+    // expiry, and attaches them to leads. Touches only persist across visits
+    // with marketing consent and are wiped when it's withdrawn; without it they
+    // still apply to leads sent from this page view, minus the click ids.
+    const attribution = {
+        storageKey: 'armanleads:attribution',
+        firstTouchDays: 90,
+        lastTouchDays: 30,
+        utmParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+        clickIds: ['fbclid', 'gclid'],
+        searchEngines: /(^|\.)(google|bing|duckduckgo|yahoo|yandex|baidu|ecosia)\./i,
+
+        init() {
+            this.touches = this.canPersist() ? this.read() : { first: null, last: null };
+
+            // A direct or internal visit only counts when nothing is on record
+            const hasTouch = this.touches.first || this.touches.last;
+            const touch = this.captureTouch() || (hasTouch ? null : this.directTouch());
+            if (touch) {
+                if (!this.touches.first) this.touches.first = this.stamp(touch, this.firstTouchDays);
+                this.touches.last = this.stamp(touch, this.lastTouchDays);
+            }
+            this.write();
+
+            document.addEventListener('consent:change', () => this.write());
+
+            formHandler.payloadEnrichers.push((formData) => this.appendTo(formData));
+            this.decorateLinks();
+            document.addEventListener('i18n:change', () => this.decorateLinks());
+        },
+
+        canPersist() {
+            return consent.allows('marketing');
+        },
+
+        stamp(touch, days) {
+            return Object.assign({}, touch, { expiresAt: Date.now() + days * 24 * 60 * 60 * 1000 });
+        },
+
+        read() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+                const now = Date.now();
+                return {
+                    first: stored.first && stored.first.expiresAt > now ? stored.first : null,
+                    last: stored.last && stored.last.expiresAt > now ? stored.last : null
+                };
+            } catch (error) {
+                return { first: null, last: null };
+            }
+        },
+
+        // Saves the touches with marketing consent, and clears anything stored without it
+        write() {
+            try {
+                if (this.canPersist()) {
+                    localStorage.setItem(this.storageKey, JSON.stringify(this.touches));
+                } else {
+                    localStorage.removeItem(this.storageKey);
+                }
+            } catch (error) {
+                // Storage unavailable; attribution still applies to this page view
+            }
+        },
+
+        // A new touch when the URL is tagged or the visitor arrived from another site
+        captureTouch() {
+            const params = new URLSearchParams(window.location.search);
+            const touch = {};
+
+            this.utmParams.concat(this.clickIds).forEach(name => {
+                const value = params.get(name);
+                if (value) touch[name.replace('utm_', '')] = value.slice(0, 200);
+            });
+
+            const referrer = this.externalReferrer();
+            if (Object.keys(touch).length === 0 && !referrer) return null;
+
+            if (!touch.source) {
+                if (touch.gclid) {
+                    Object.assign(touch, { source: 'google', medium: 'cpc' });
+                } else if (touch.fbclid) {
+                    Object.assign(touch, { source: 'facebook', medium: 'paid-social' });
+                } else if (referrer) {
+                    touch.source = referrer.hostname.replace(/^www\./, '');
+                    touch.medium = this.searchEngines.test(referrer.hostname) ? 'organic' : 'referral';
+                }
+            }
+
+            return Object.assign(touch, {
+                referrer: referrer ? referrer.origin + referrer.pathname : '',
+                landing_page: window.location.pathname,
+                timestamp: new Date().toISOString()
+            });
+        },
+
+        directTouch() {
+            return {
+                source: '(direct)',
+                medium: '(none)',
+                referrer: '',
+                landing_page: window.location.pathname,
+                timestamp: new Date().toISOString()
+            };
+        },
+
+        externalReferrer() {
+            if (!document.referrer) return null;
+
+            try {
+                const url = new URL(document.referrer);
+                return url.hostname === window.location.hostname ? null : url;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // e.g. _attribution_first_source, _attribution_last_campaign
+        appendTo(formData) {
+            ['first', 'last'].forEach(position => {
+                const touch = this.touches[position];
+                if (!touch) return;
+
+                Object.keys(touch).forEach(key => {
+                    if (key === 'expiresAt' || !touch[key]) return;
+                    if (this.clickIds.includes(key) && !consent.allows('marketing')) return;
+                    formData.set(`_attribution_${position}_${key}`, touch[key]);
+                });
+            });
+        },
+
+        // Short reference for chat and email, e.g. "facebook / paid-social / dental-oct"
+        getReference() {
+            const touch = this.touches.last || this.touches.first;
+            if (!touch || touch.source === '(direct)') return '';
+
+            return [touch.source, touch.medium, touch.campaign].filter(Boolean).join(' / ');
+        },
+
+        // Append the reference to WhatsApp and email links. The error panel's
+        // alternate contacts already carry the whole submission, so skip them.
+        decorateLinks() {
+            const reference = this.getReference();
+            if (!reference) return;
+
+            const line = `(ref: ${reference})`;
+
+            utils.$$('a[href^="https://wa.me"], a[href^="mailto:"]').forEach(link => {
+                if (link.hasAttribute('data-alt-contact')) return;
+
+                const base = link.getAttribute('data-attribution-base') || link.getAttribute('href');
+                link.setAttribute('data-attribution-base', base);
+
+                const [address, query = ''] = base.split('?');
+                const params = new URLSearchParams(query);
+                const key = base.startsWith('mailto:') ? 'body' : 'text';
+                const existing = params.get(key);
+
+                params.set(key, existing ? `${existing}\n\n${line}` : `${i18n.t('contact.greeting')}\n\n${line}`);
+                // URLSearchParams encodes spaces as "+", which mail clients show literally
+                link.setAttribute('href', `${address}?${params.toString().replace(/\+/g, '%20')}`);
+            });
+        }
+    };
+
+    // Personalization Module
+    // Picks a vertical from ?vertical=, a utm_campaign that mentions one, the
+    // current session, or the #business-type select, then applies that
+    // vertical's entry in contentMap. Anything a vertical doesn't override
+    // falls back to the original page copy.
+    const personalization = {
+        storageKey: 'armanleads:vertical',
+
+        // text: selector -> catalog key for the replacement copy
+        // samples: .audit-sample[data-vertical] values to show first
+        // faq: FAQ item ids to feature at the top of the list
+        contentMap: {
+            dental: {
+                text: {
+                    '#hero-title': 'hero.title_patients',
+                    '.hero-subtitle': 'hero.subtitle_dental'
+                },
+                samples: ['dental'],
+                faq: ['faq-ad-spend', 'faq-results-timeline', 'faq-time-zones']
+            },
+            chiropractic: {
+                text: {
+                    '#hero-title': 'hero.title_patients',
+                    '.hero-subtitle': 'hero.subtitle_chiropractic'
+                },
+                samples: ['chiropractic'],
+                faq: ['faq-results-timeline', 'faq-ad-spend', 'faq-contracts']
+            },
+            medical: {
+                text: {
+                    '#hero-title': 'hero.title_patients',
+                    '.hero-subtitle': 'hero.subtitle_medical'
+                },
+                samples: ['medical'],
+                faq: ['faq-ad-account', 'faq-ownership', 'faq-results-timeline']
+            },
+            fitness: {
+                text: {
+                    '#hero-title': 'hero.title_members',
+                    '.hero-subtitle': 'hero.subtitle_fitness'
+                },
+                samples: ['fitness'],
+                faq: ['faq-results-timeline', 'faq-ad-spend', 'faq-contracts']
+            },
+            salon: {
+                text: {
+                    '#hero-title': 'hero.title_clients',
+                    '.hero-subtitle': 'hero.subtitle_salon'
+                },
+                samples: [],
+                faq: ['faq-ad-spend', 'faq-unique-business', 'faq-results-timeline']
+            },
+            contractor: {
+                text: {
+                    '#hero-title': 'hero.title_jobs',
+                    '.hero-subtitle': 'hero.subtitle_contractor'
+                },
+                samples: [],
+                faq: ['faq-unique-business', 'faq-ad-spend', 'faq-results-timeline']
+            }
+        },
+
+        init() {
+            this.select = utils.$('#business-type');
+            this.sampleList = utils.$('.audit-samples');
+            this.faqList = utils.$('.faq-items');
+            this.current = null;
+
+            // Remember the original copy and order so we can always restore it
+            this.defaults = {};
+            Object.keys(this.contentMap).forEach(vertical => {
+                Object.keys(this.contentMap[vertical].text || {}).forEach(selector => {
+                    const element = utils.$(selector);
+                    if (element && !(selector in this.defaults)) {
+                        this.defaults[selector] = element.textContent;
+                    }
+                });
+            });
+            this.defaultSampleOrder = this.sampleList ? utils.$$('.audit-sample', this.sampleList) : [];
+            this.defaultFaqOrder = this.faqList ? utils.$$('.faq-item', this.faqList) : [];
+
+            if (this.select) {
+                this.select.addEventListener('change', () => {
+                    if (this.select.value) this.apply(this.select.value, { source: 'form' });
+                });
+            }
+
+            const detected = this.detect();
+            if (detected) {
+                this.apply(detected.vertical, { source: detected.source });
+            }
+
+            document.addEventListener('i18n:change', () => {
+                if (this.current) this.applyCopy();
+            });
+        },
+
+        isKnown(vertical) {
+            return Boolean(vertical) && (vertical in this.contentMap || vertical === 'other');
+        },
+
+        detect() {
+            const params = new URLSearchParams(window.location.search);
+
+            const fromParam = (params.get('vertical') || '').toLowerCase();
+            if (this.isKnown(fromParam)) return { vertical: fromParam, source: 'url' };
+
+            // utm_campaign like "dental-new-patients-oct" or "gym_trial"
+            const campaign = (params.get('utm_campaign') || '').toLowerCase();
+            const aliases = { gym: 'fitness', chiro: 'chiropractic', spa: 'salon', dentist: 'dental', clinic: 'medical' };
+            const fromCampaign = Object.keys(this.contentMap).find(vertical => campaign.includes(vertical)) ||
+                aliases[Object.keys(aliases).find(alias => campaign.includes(alias))];
+            if (fromCampaign) return { vertical: fromCampaign, source: 'utm' };
+
+            try {
+                const stored = sessionStorage.getItem(this.storageKey);
+                if (this.isKnown(stored)) return { vertical: stored, source: 'session' };
+            } catch {
+                // Storage unavailable
+            }
+
+            if (this.select && this.isKnown(this.select.value)) {
+                return { vertical: this.select.value, source: 'form' };
+            }
+
+            return null;
+        },
+
+        apply(vertical, { source = 'api' } = {}) {
+            if (!this.isKnown(vertical) || vertical === this.current) return;
+
+            const content = this.contentMap[vertical] || {};
+            this.current = vertical;
+
+            try {
+                sessionStorage.setItem(this.storageKey, vertical);
+            } catch {
+                // Personalization just won't persist
+            }
+
+            this.applyCopy();
+
+            this.reorder(this.sampleList, this.defaultSampleOrder, content.samples || [], this.sampleMatches);
+            this.reorder(this.faqList, this.defaultFaqOrder, content.faq || [], (item, key) => item.id === key);
+
+            this.defaultFaqOrder.forEach(item => {
+                item.classList.toggle('is-featured', (content.faq || []).includes(item.id));
+            });
+            this.defaultSampleOrder.forEach(sample => {
+                const match = (content.samples || []).some(key => this.sampleMatches(sample, key));
+                sample.classList.toggle('is-featured', match);
+            });
+
+            // Pre-select the form field unless the visitor already chose something
+            if (this.select && source !== 'form' && !this.select.value && vertical !== 'other') {
+                this.select.value = vertical;
+            }
+
+            document.documentElement.setAttribute('data-vertical', vertical);
+            document.dispatchEvent(new CustomEvent('personalization:change', {
+                detail: { vertical, source }
+            }));
+        },
+
+        applyCopy() {
+            const content = this.contentMap[this.current] || {};
+
+            Object.keys(this.defaults).forEach(selector => {
+                const element = utils.$(selector);
+                if (!element) return;
+
+                const key = (content.text && content.text[selector]) || element.getAttribute('data-i18n');
+                element.textContent = key ? i18n.t(key) : this.defaults[selector];
+            });
+        },
+
+        // A sample can belong to several verticals: data-vertical="chiropractic medical"
+        sampleMatches(sample, key) {
+            return (sample.getAttribute('data-vertical') || '').split(/\s+/).includes(key);
+        },
+
+        // Move matching children to the front in `keys` order, rest in original order
+        reorder(list, originalOrder, keys, matches) {
+            if (!list || originalOrder.length === 0) return;
+
+            const featured = [];
+            keys.forEach(key => {
+                originalOrder.forEach(child => {
+                    if (matches(child, key) && !featured.includes(child)) featured.push(child);
+                });
+            });
+
+            featured.concat(originalOrder.filter(child => !featured.includes(child)))
+                .forEach(child => list.appendChild(child));
+        }
+    };
+
+    // Currency Display Module
+    // Converts every [data-price] node (USD amounts) using the bundled
+    // rates.json. Billing stays in USD, so [data-price-billing] nodes keep the
+    // USD figure visible next to the estimate.
+    const currency = {
+        storageKey: 'armanleads:currency',
+        ratesUrl: 'rates.json',
+        base: 'USD',
+
+        // Region subtag of the visitor's locale -> local currency
+        regionCurrencies: {
+            US: 'USD', CA: 'CAD', GB: 'GBP', IE: 'EUR', AU: 'AUD', NZ: 'NZD',
+            DE: 'EUR', FR: 'EUR', ES: 'EUR', IT: 'EUR', NL: 'EUR', BE: 'EUR',
+            AT: 'EUR', PT: 'EUR', FI: 'EUR', GR: 'EUR', CH: 'CHF', SE: 'SEK',
+            NO: 'NOK', DK: 'DKK', AE: 'AED', SA: 'SAR', IQ: 'IQD', TR: 'TRY', IN: 'INR'
+        },
+
+        init() {
+            this.rates = { [this.base]: 1 };
+            this.ratesDate = null;
+            this.code = this.base;
+            this.nodes = utils.$$('[data-price]');
+            // Blocks of several related amounts carry one "≈" note between them
+            this.groups = utils.$$('[data-price-group]');
+            this.switcher = utils.$('[data-currency-switcher]');
+            this.select = utils.$('#currency-select');
+            this.note = utils.$('#currency-note');
+
+            this.nodes.forEach(node => {
+                node.setAttribute('data-price-original', node.textContent);
+            });
+
+            this.loadRates();
+        },
+
+        async loadRates() {
+            try {
+                const response = await fetch(this.ratesUrl, { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) throw new Error(`Rates returned ${response.status}`);
+
+                const data = await response.json();
+                this.rates = Object.assign({ [this.base]: 1 }, data.rates);
+                this.ratesDate = data.date || null;
+            } catch (error) {
+                // Prices simply stay in USD
+                console.error('Exchange rates unavailable:', error);
+                return;
+            }
+
+            this.populateSelect();
+            this.apply(this.getPreferred());
+
+            // Currency names and number formats follow the page language
+            document.addEventListener('i18n:change', () => {
+                if (this.select) {
+                    utils.$$('option', this.select).forEach(option => {
+                        option.textContent = `${option.value} - ${this.getName(option.value)}`;
+                    });
+                }
+                this.apply(this.code);
+            });
+        },
+
+        getPreferred() {
+            let saved = null;
+            try {
+                saved = localStorage.getItem(this.storageKey);
+            } catch {
+                // Fall through to detection
+            }
+            if (saved && this.rates[saved]) return saved;
+
+            return this.detect();
+        },
+
+        detect() {
+            try {
+                const locale = new Intl.Locale(navigator.language || 'en-US').maximize();
+                const code = this.regionCurrencies[locale.region];
+                return code && this.rates[code] ? code : this.base;
+            } catch {
+                return this.base;
+            }
+        },
+
+        getName(code) {
+            try {
+                return new Intl.DisplayNames(i18n.locale, { type: 'currency' }).of(code);
+            } catch {
+                return code;
+            }
+        },
+
+        populateSelect() {
+            if (!this.select || !this.switcher) return;
+
+            Object.keys(this.rates).sort().forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = `${code} - ${this.getName(code)}`;
+                this.select.appendChild(option);
+            });
+
+            this.select.addEventListener('change', () => {
+                try {
+                    localStorage.setItem(this.storageKey, this.select.value);
+                } catch {
+                    // Choice just won't persist
+                }
+                this.apply(this.select.value);
+            });
+
+            this.switcher.removeAttribute('hidden');
+        },
+
+        rate(code = this.code) {
+            return this.rates[code] || 1;
+        },
+
+        convert(amountUsd, code = this.code) {
+            const converted = amountUsd * this.rate(code);
+            if (code === this.base) return converted;
+
+            // Three significant figures avoid false precision on estimates
+            if (converted >= 1000) {
+                const step = Math.pow(10, Math.floor(Math.log10(converted)) - 2);
+                return Math.round(converted / step) * step;
+            }
+            return Math.round(converted);
+        },
+
+        // Format a USD amount in the active currency
+        format(amountUsd, code = this.code) {
+            return new Intl.NumberFormat(i18n.locale, {
+                style: 'currency',
+                currency: code,
+                maximumFractionDigits: 0
+            }).format(this.convert(amountUsd, code));
+        },
+
+        formatUsd(amountUsd) {
+            return this.format(amountUsd, this.base);
+        },
+
+        apply(code) {
+            this.code = this.rates[code] ? code : this.base;
+            const isBase = this.code === this.base;
+
+            if (this.select) this.select.value = this.code;
+
+            this.nodes.forEach(node => {
+                const amount = Number(node.getAttribute('data-price'));
+
+                const approximate = node.closest('[data-price-group]') ? '' : '≈';
+
+                if (isBase) {
+                    node.textContent = node.getAttribute('data-price-original');
+                    node.removeAttribute('title');
+                } else {
+                    node.textContent = `${approximate}${this.format(amount)}`;
+                    node.setAttribute('title', `${this.formatUsd(amount)} USD`);
+                }
+
+                if (node.hasAttribute('data-price-billing')) {
+                    this.updateBillingNote(node, isBase ? '' : templates.message('currency.billed_as', { amount: this.formatUsd(amount) }));
+                }
+            });
+
+            this.groups.forEach(group => {
+                this.updateGroupNote(group, isBase ? '' : i18n.t('currency.group_note', { currency: this.getName(this.code) }));
+            });
+
+            if (this.note) {
+                this.note.textContent = isBase
+                    ? ''
+                    : this.ratesDate
+                        ? templates.message('currency.rates_note', { date: this.formatDate(this.ratesDate) })
+                        : templates.message('currency.rates_note_undated');
+            }
+
+            document.dispatchEvent(new CustomEvent('currency:change', { detail: { code: this.code } }));
+        },
+
+        updateBillingNote(node, text) {
+            let billing = node.nextElementSibling;
+            if (!billing || !billing.classList.contains('price-billing')) {
+                billing = document.createElement('p');
+                billing.className = 'price-billing';
+                node.insertAdjacentElement('afterend', billing);
+            }
+
+            billing.textContent = text;
+            billing.hidden = !text;
+        },
+
+        updateGroupNote(group, text) {
+            let note = utils.$('.price-group-note', group);
+            if (!note) {
+                note = document.createElement('p');
+                note.className = 'price-group-note';
+                group.appendChild(note);
+            }
+
+            note.textContent = text;
+            note.hidden = !text;
+        },
+
+        formatDate(isoDate) {
+            const date = new Date(`${isoDate}T00:00:00Z`);
+            return i18n.formatDate(date, { dateStyle: 'medium', timeZone: 'UTC' });
+        }
+    };
+
+    // ROI Calculator Module
+    // Live investment and return estimates in the pricing section. Presets
+    // follow the #business-type options, the numbers round-trip through
+    // ?roi_* URL parameters and can ride along with the audit request.
+    const roiCalculator = {
+        presets: {
+            dental: { costPerLead: 45, customerValue: 1200, closeRate: 30 },
+            chiropractic: { costPerLead: 40, customerValue: 900, closeRate: 35 },
+            fitness: { costPerLead: 25, customerValue: 600, closeRate: 30 },
+            medical: { costPerLead: 55, customerValue: 1000, closeRate: 30 },
+            salon: { costPerLead: 20, customerValue: 300, closeRate: 40 },
+            contractor: { costPerLead: 60, customerValue: 2500, closeRate: 20 },
+            other: { costPerLead: 40, customerValue: 800, closeRate: 25 }
+        },
+        defaultVertical: 'dental',
+
+        init() {
+            this.container = utils.$('#roi-calculator');
+            if (!this.container) return;
+
+            this.managementFee = Number(this.container.getAttribute('data-management-fee')) || 0;
+            this.verticalSelect = utils.$('#roi-vertical', this.container);
+            this.budgetInput = utils.$('#roi-budget', this.container);
+            this.budgetOutput = utils.$('#roi-budget-output', this.container);
+            this.valueInput = utils.$('#roi-value', this.container);
+            this.valueCurrency = utils.$('[data-roi-currency]', this.container);
+            this.closeInput = utils.$('#roi-close', this.container);
+            this.attachCheckbox = utils.$('#roi-attach', this.container);
+            this.shareButton = utils.$('[data-roi-share]', this.container);
+            this.summary = utils.$('#roi-summary', this.container);
+            this.outputs = {};
+            utils.$$('[data-roi-output]', this.container).forEach(output => {
+                this.outputs[output.getAttribute('data-roi-output')] = output;
+            });
+
+            this.populateVerticals();
+            this.applyParams();
+            this.bindEvents();
+            this.update();
+
+            this.container.removeAttribute('hidden');
+
+            // The checkbox offers the numbers with the audit request, not a booking
+            formHandler.payloadEnrichers.push((formData, form) => {
+                if (form === formHandler.form) this.appendTo(formData);
+            });
+        },
+
+        // Mirror the audit form's business types so the two never drift apart
+        populateVerticals() {
+            const source = utils.$('#business-type');
+            const values = source
+                ? Array.from(source.options).map(option => option.value).filter(Boolean)
+                : Object.keys(this.presets);
+
+            values.forEach(value => {
+                if (!this.presets[value]) return;
+                const copy = document.createElement('option');
+                copy.value = value;
+                // Keyed like the source option so language changes relabel it
+                copy.setAttribute('data-i18n', `form.business_type_${value}`);
+                copy.textContent = i18n.t(`form.business_type_${value}`);
+                this.verticalSelect.appendChild(copy);
+            });
+
+            this.setVertical(this.defaultVertical);
+        },
+
+        setVertical(vertical) {
+            const preset = this.presets[vertical] || this.presets.other;
+            this.verticalSelect.value = this.presets[vertical] ? vertical : 'other';
+            this.customerValue = preset.customerValue;
+            this.renderCustomerValue();
+            this.closeInput.value = preset.closeRate;
+        },
+
+        // Customer value is kept in USD like everything else, but typed and
+        // shown in the active currency so it matches the results
+        renderCustomerValue() {
+            const rate = currency.rate();
+            this.valueInput.value = Math.round(this.customerValue * rate);
+            this.valueInput.step = String(Math.max(1, Math.round(50 * rate)));
+            if (this.valueCurrency) this.valueCurrency.textContent = currency.code;
+        },
+
+        applyParams() {
+            const params = new URLSearchParams(window.location.search);
+            this.hasInteracted = false;
+
+            if (params.has('roi_vertical')) this.setVertical(params.get('roi_vertical'));
+            if (params.has('roi_budget')) this.budgetInput.value = params.get('roi_budget');
+            if (params.has('roi_value')) {
+                this.customerValue = Number(params.get('roi_value')) || 0;
+                this.renderCustomerValue();
+            }
+            if (params.has('roi_close')) this.closeInput.value = params.get('roi_close');
+        },
+
+        bindEvents() {
+            this.verticalSelect.addEventListener('change', () => {
+                this.setVertical(this.verticalSelect.value);
+                this.update();
+            });
+
+            this.valueInput.addEventListener('input', () => {
+                this.customerValue = (Number(this.valueInput.value) || 0) / currency.rate();
+            });
+
+            [this.budgetInput, this.valueInput, this.closeInput].forEach(input => {
+                input.addEventListener('input', () => this.update());
+            });
+
+            const announce = utils.debounce(() => this.announce(), 600);
+            ['input', 'change'].forEach(type => {
+                this.container.addEventListener(type, (e) => {
+                    if (e.target === this.attachCheckbox) return;
+                    this.hasInteracted = true;
+                    this.updateUrl();
+                    announce();
+                });
+            });
+
+            if (this.shareButton) {
+                this.shareButton.addEventListener('click', () => this.share());
+            }
+
+            document.addEventListener('currency:change', () => {
+                this.renderCustomerValue();
+                this.update();
+            });
+            document.addEventListener('i18n:change', () => this.update());
+
+            // Follow the personalized vertical unless a shared link set the numbers
+            document.addEventListener('personalization:change', (e) => {
+                if (this.hasInteracted || new URLSearchParams(window.location.search).has('roi_vertical')) return;
+                if (!this.presets[e.detail.vertical]) return;
+                this.setVertical(e.detail.vertical);
+                this.update();
+            });
+        },
+
+        getValues() {
+            const clamp = (value, min, max) => Math.min(Math.max(Number(value) || 0, min), max);
+            const preset = this.presets[this.verticalSelect.value] || this.presets.other;
+
+            return {
+                vertical: this.verticalSelect.value,
+                budget: clamp(this.budgetInput.value, 0, 100000),
+                customerValue: clamp(this.customerValue, 0, 1000000),
+                closeRate: clamp(this.closeInput.value, 0, 100),
+                costPerLead: preset.costPerLead
+            };
+        },
+
+        calculate(values) {
+            const total = this.managementFee + values.budget;
+            const leads = values.costPerLead > 0 ? values.budget / values.costPerLead : 0;
+            const customers = leads * (values.closeRate / 100);
+            const revenue = customers * values.customerValue;
+            const roi = total > 0 ? ((revenue - total) / total) * 100 : 0;
+
+            return { total, leads, costPerLead: values.costPerLead, customers, revenue, roi };
+        },
+
+        // Amounts are USD internally and shown in the visitor's chosen currency
+        formatMoney(amount) {
+            return currency.format(amount);
+        },
+
+        update() {
+            const values = this.getValues();
+            this.results = this.calculate(values);
+            this.values = values;
+
+            if (this.budgetOutput) {
+                this.budgetOutput.textContent = this.formatMoney(values.budget);
+            }
+
+            const formatted = {
+                total: this.formatMoney(this.results.total),
+                leads: i18n.formatNumber(Math.round(this.results.leads)),
+                costPerLead: this.formatMoney(this.results.costPerLead),
+                customers: i18n.formatNumber(Math.round(this.results.customers)),
+                revenue: this.formatMoney(this.results.revenue),
+                roi: i18n.formatNumber(Math.round(this.results.roi) / 100, { style: 'percent' })
+            };
+
+            Object.keys(formatted).forEach(key => {
+                if (this.outputs[key]) this.outputs[key].textContent = formatted[key];
+            });
+
+            this.container.classList.toggle('is-negative', this.results.roi < 0);
+        },
+
+        // Screen reader summary, debounced so dragging the slider isn't noisy
+        announce() {
+            if (!this.summary || !this.results) return;
+            this.summary.textContent = templates.message('roi.summary', {
+                leads: Math.round(this.results.leads),
+                customers: Math.round(this.results.customers),
+                revenue: this.formatMoney(this.results.revenue),
+                total: this.formatMoney(this.results.total)
+            });
+        },
+
+        getShareParams() {
+            return {
+                roi_vertical: this.values.vertical,
+                roi_budget: String(this.values.budget),
+                roi_value: String(Math.round(this.values.customerValue)),
+                roi_close: String(this.values.closeRate)
+            };
+        },
+
+        // Only touch the address bar once the visitor has made it their own
+        updateUrl: utils.debounce(function() {
+            if (!roiCalculator.hasInteracted || !window.history.replaceState) return;
+
+            const url = new URL(window.location.href);
+            const params = roiCalculator.getShareParams();
+            Object.keys(params).forEach(key => url.searchParams.set(key, params[key]));
+            window.history.replaceState(null, '', url.toString());
+        }, 400),
+
+        async share() {
+            const url = new URL(window.location.href);
+            const params = this.getShareParams();
+            Object.keys(params).forEach(key => url.searchParams.set(key, params[key]));
+            url.hash = 'roi-calculator';
+
+            try {
+                await navigator.clipboard.writeText(url.toString());
+            } catch {
+                window.prompt(templates.message('roi.copy_prompt'), url.toString());
+                return;
+            }
+
+            const label = utils.$('[data-roi-share-label]', this.shareButton);
+            if (!label) return;
+
+            const original = label.textContent;
+            label.textContent = templates.message('roi.link_copied');
+            setTimeout(() => {
+                label.textContent = original;
+            }, 2000);
+        },
+
+        appendTo(formData) {
+            if (!this.attachCheckbox || !this.attachCheckbox.checked || !this.results) return;
+
+            formData.set('_roi_currency', 'USD');
+            formData.set('_roi_vertical', this.values.vertical);
+            formData.set('_roi_ad_budget', String(this.values.budget));
+            formData.set('_roi_customer_value', String(Math.round(this.values.customerValue)));
+            formData.set('_roi_close_rate', String(this.values.closeRate));
+            formData.set('_roi_projected_leads', String(Math.round(this.results.leads)));
+            formData.set('_roi_projected_revenue', String(Math.round(this.results.revenue)));
+            formData.set('_roi_projected_return', `${Math.round(this.results.roi)}%`);
+        }
+    };
+
+    // Before/After Comparison Module
+    // Enhances [data-comparison] blocks holding a .before and .after panel
+    // (text or screenshots) into a draggable divider with a toggle mode.
+    const comparison = {
+        step: 5,
+        bound: new WeakSet(),
+
+        init() {
+            utils.$$('[data-comparison]').forEach(container => this.enhance(container));
+
+            // Labels are built from the panel headings, which may have been translated
+            document.addEventListener('i18n:change', () => {
+                utils.$$('.comparison').forEach(container => {
+                    if (!utils.$('.comparison-stage', container)) return;
+                    this.label(container);
+                    this.setValue(container, this.getValue(container));
+                });
+            });
+        },
+
+        // Safe to call on clones of an enhanced block; markup is reused and
+        // only the listeners are bound again.
+        enhance(container) {
+            if (this.bound.has(container)) return;
+
+            const before = utils.$('.before', container);
+            const after = utils.$('.after', container);
+            if (!before || !after) return;
+
+            if (!utils.$('.comparison-stage', container)) {
+                this.build(container, before, after);
+            }
+
+            this.bind(container);
+            this.bound.add(container);
+        },
+
+        build(container, before, after) {
+            const hasImages = utils.$$('img', container).length > 0;
+            const mode = container.getAttribute('data-comparison-mode') || (hasImages ? 'slider' : 'toggle');
+
+            container.classList.add('comparison');
+
+            const modes = document.createElement('div');
+            modes.className = 'comparison-modes';
+            modes.setAttribute('role', 'group');
+            modes.innerHTML = `
+                <button type="button" class="comparison-mode" data-comparison-set="slider">
+                    <i class="fas fa-arrows-left-right" aria-hidden="true"></i> <span data-i18n="comparison.slide"></span>
+                </button>
+                <button type="button" class="comparison-mode" data-comparison-set="toggle">
+                    <i class="fas fa-repeat" aria-hidden="true"></i> <span data-i18n="comparison.toggle"></span>
+                </button>
+            `;
+            i18n.translate(modes);
+
+            const stage = document.createElement('div');
+            stage.className = 'comparison-stage';
+            before.classList.add('comparison-layer');
+            after.classList.add('comparison-layer');
+            stage.appendChild(after);
+            stage.appendChild(before);
+
+            const handle = document.createElement('div');
+            handle.className = 'comparison-handle';
+            handle.setAttribute('role', 'slider');
+            handle.setAttribute('tabindex', '0');
+            handle.setAttribute('aria-valuemin', '0');
+            handle.setAttribute('aria-valuemax', '100');
+            handle.innerHTML = '<span class="comparison-grip" aria-hidden="true"><i class="fas fa-grip-lines-vertical"></i></span>';
+            stage.appendChild(handle);
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'btn btn-ghost comparison-toggle';
+
+            container.appendChild(modes);
+            container.appendChild(stage);
+            container.appendChild(toggle);
+            this.label(container);
+
+            container.setAttribute('data-comparison-mode', mode);
+            container.setAttribute('data-comparison-value', mode === 'toggle' ? '100' : '50');
+        },
+
+        // Names come from each panel's heading, with Before/After as fallbacks
+        label(container) {
+            const labelFor = (panel, fallback) => {
+                const heading = utils.$('h4', panel);
+                return heading ? heading.textContent.trim() : templates.message(fallback);
+            };
+            const before = labelFor(utils.$('.before', container), 'comparison.before');
+            const after = labelFor(utils.$('.after', container), 'comparison.after');
+            const toggle = utils.$('.comparison-toggle', container);
+
+            utils.$('.comparison-modes', container).setAttribute('aria-label', templates.message('comparison.view'));
+            utils.$('.comparison-handle', container).setAttribute('aria-label', templates.message('comparison.versus', { before, after }));
+            toggle.setAttribute('data-label-before', templates.message('comparison.show', { label: before }));
+            toggle.setAttribute('data-label-after', templates.message('comparison.show', { label: after }));
+        },
+
+        bind(container) {
+            const stage = utils.$('.comparison-stage', container);
+            const handle = utils.$('.comparison-handle', container);
+            const toggle = utils.$('.comparison-toggle', container);
+
+            utils.$$('[data-comparison-set]', container).forEach(button => {
+                button.addEventListener('click', () => {
+                    this.setMode(container, button.getAttribute('data-comparison-set'));
+                });
+            });
+
+            toggle.addEventListener('click', () => {
+                this.setValue(container, this.getValue(container) > 50 ? 0 : 100);
+            });
+
+            handle.addEventListener('keydown', (e) => {
+                const value = this.getValue(container);
+                const keys = {
+                    ArrowLeft: value - this.step,
+                    ArrowDown: value - this.step,
+                    ArrowRight: value + this.step,
+                    ArrowUp: value + this.step,
+                    PageDown: value - this.step * 5,
+                    PageUp: value + this.step * 5,
+                    Home: 0,
+                    End: 100
+                };
+
+                if (e.key in keys) {
+                    e.preventDefault();
+                    this.setValue(container, keys[e.key]);
+                }
+            });
+
+            // Pointer events cover mouse, pen and touch; vertical page
+            // scrolling is left to the browser via touch-action in CSS.
+            let dragging = false;
+            const moveTo = (e) => {
+                const rect = stage.getBoundingClientRect();
+                this.setValue(container, ((e.clientX - rect.left) / rect.width) * 100);
+            };
+
+            stage.addEventListener('pointerdown', (e) => {
+                if (container.getAttribute('data-comparison-mode') !== 'slider') return;
+                if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+                dragging = true;
+                stage.setPointerCapture(e.pointerId);
+                stage.classList.add('is-dragging');
+                moveTo(e);
+                handle.focus({ preventScroll: true });
+            });
+
+            stage.addEventListener('pointermove', (e) => {
+                if (dragging) moveTo(e);
+            });
+
+            const stop = (e) => {
+                if (!dragging) return;
+                dragging = false;
+                stage.classList.remove('is-dragging');
+                if (stage.hasPointerCapture(e.pointerId)) stage.releasePointerCapture(e.pointerId);
+            };
+
+            stage.addEventListener('pointerup', stop);
+            stage.addEventListener('pointercancel', stop);
+
+            this.setMode(container, container.getAttribute('data-comparison-mode'));
+        },
+
+        getValue(container) {
+            return parseFloat(container.getAttribute('data-comparison-value')) || 0;
+        },
+
+        setValue(container, value) {
+            const clamped = Math.round(Math.max(0, Math.min(100, value)));
+            const handle = utils.$('.comparison-handle', container);
+            const toggle = utils.$('.comparison-toggle', container);
+            const before = utils.$('.before', container);
+            const after = utils.$('.after', container);
+
+            container.setAttribute('data-comparison-value', clamped);
+            container.style.setProperty('--comparison-position', `${clamped}%`);
+
+            handle.setAttribute('aria-valuenow', clamped);
+            handle.setAttribute('aria-valuetext', templates.message('comparison.position', { before: clamped, after: 100 - clamped }));
+
+            const showingBefore = clamped > 50;
+            toggle.textContent = toggle.getAttribute(showingBefore ? 'data-label-after' : 'data-label-before');
+
+            // In toggle mode only the visible panel is exposed
+            if (container.getAttribute('data-comparison-mode') === 'toggle') {
+                const [shown, hidden] = showingBefore ? [before, after] : [after, before];
+                shown.removeAttribute('aria-hidden');
+                hidden.setAttribute('aria-hidden', 'true');
+            }
+        },
+
+        setMode(container, mode) {
+            const isSlider = mode === 'slider';
+            const handle = utils.$('.comparison-handle', container);
+            const toggle = utils.$('.comparison-toggle', container);
+
+            container.setAttribute('data-comparison-mode', isSlider ? 'slider' : 'toggle');
+
+            utils.$$('[data-comparison-set]', container).forEach(button => {
+                button.setAttribute('aria-pressed', String(button.getAttribute('data-comparison-set') === mode));
+            });
+
+            handle.hidden = !isSlider;
+            toggle.hidden = isSlider;
+
+            if (isSlider) {
+                utils.$$('.comparison-layer', container).forEach(layer => layer.removeAttribute('aria-hidden'));
+                this.setValue(container, 50);
+            } else {
+                this.setValue(container, this.getValue(container) > 50 ? 100 : 0);
+            }
+        }
+    };
+
+    // Portfolio Module
+    // Filters the audit samples by vertical, turns them into a swipeable
+    // carousel on small screens and opens a full breakdown in a modal.
+    const portfolio = {
+        carouselQuery: '(max-width: 767px)',
+
+        init() {
+            this.list = utils.$('.audit-samples');
+            if (!this.list) return;
+
+            this.samples = utils.$$('.audit-sample', this.list);
+            if (this.samples.length === 0) return;
+
+            this.filtersContainer = utils.$('[data-portfolio-filters]');
+            this.controls = utils.$('[data-carousel-controls]');
+            this.prevButton = utils.$('[data-carousel-prev]');
+            this.nextButton = utils.$('[data-carousel-next]');
+            this.status = utils.$('[data-carousel-status]');
+            this.activeFilter = 'all';
+            this.index = 0;
+
+            this.addDetailButtons();
+            this.buildFilters();
+            this.bindCarousel();
+
+            // Personalization only reorders and highlights (filtering is left to
+            // the chips), so start the carousel on the sample it moved to the front
+            document.addEventListener('personalization:change', () => this.goTo(0, { announce: false }));
+
+            // Filters, carousel and detail labels are built here, so follow language changes
+            document.addEventListener('i18n:change', () => {
+                this.labelFilters();
+                this.labelDetailButtons();
+                // Also re-centres the current slide after a switch between LTR and RTL
+                if (this.isCarousel) this.setCarousel(true);
+                if (this.detailSample && modal.isOpen('audit-detail')) {
+                    this.renderDetail(modal.getElement('audit-detail'), this.detailSample);
+                }
+            });
+        },
+
+        getKey(sample) {
+            const verticals = (sample.getAttribute('data-vertical') || '').split(/\s+/).filter(Boolean);
+            if (verticals.length > 0) return verticals[0];
+
+            const badge = utils.$('.sample-badge', sample);
+            return badge ? badge.textContent.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'other';
+        },
+
+        matches(sample, filter) {
+            if (filter === 'all') return true;
+            return personalization.sampleMatches(sample, filter) || this.getKey(sample) === filter;
+        },
+
+        // Samples in current DOM order that pass the filter
+        getVisible() {
+            return utils.$$('.audit-sample', this.list).filter(sample => !sample.hidden);
+        },
+
+        buildFilters() {
+            if (!this.filtersContainer) return;
+
+            const keys = ['all'];
+            this.samples.forEach(sample => {
+                const key = this.getKey(sample);
+                if (!keys.includes(key)) keys.push(key);
+            });
+
+            if (keys.length < 3) return;
+
+            keys.forEach(key => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'portfolio-filter';
+                button.setAttribute('data-filter', key);
+                button.setAttribute('aria-pressed', String(key === this.activeFilter));
+                button.addEventListener('click', () => this.filter(key));
+                this.filtersContainer.appendChild(button);
+            });
+
+            this.labelFilters();
+            this.filtersContainer.removeAttribute('hidden');
+        },
+
+        // Each vertical is named by the badge of its first sample
+        labelFilters() {
+            if (!this.filtersContainer) return;
+
+            utils.$$('.portfolio-filter', this.filtersContainer).forEach(button => {
+                const key = button.getAttribute('data-filter');
+                const sample = this.samples.find(candidate => this.getKey(candidate) === key);
+                const badge = sample && utils.$('.sample-badge', sample);
+
+                button.textContent = key === 'all'
+                    ? templates.message('portfolio.filter_all')
+                    : badge ? badge.textContent.trim() : key;
+            });
+        },
+
+        filter(key) {
+            this.activeFilter = key;
+
+            utils.$$('.portfolio-filter', this.filtersContainer).forEach(button => {
+                button.setAttribute('aria-pressed', String(button.getAttribute('data-filter') === key));
+            });
+
+            this.samples.forEach(sample => {
+                sample.hidden = !this.matches(sample, key);
+            });
+
+            this.goTo(0, { announce: false });
+        },
+
+        bindCarousel() {
+            this.mediaQuery = window.matchMedia(this.carouselQuery);
+            const update = () => this.setCarousel(this.mediaQuery.matches);
+
+            if (this.mediaQuery.addEventListener) {
+                this.mediaQuery.addEventListener('change', update);
+            } else {
+                this.mediaQuery.addListener(update);
+            }
+
+            if (this.prevButton) this.prevButton.addEventListener('click', () => this.goTo(this.index - 1));
+            if (this.nextButton) this.nextButton.addEventListener('click', () => this.goTo(this.index + 1));
+
+            this.list.addEventListener('keydown', (e) => {
+                if (!this.isCarousel || e.target !== this.list) return;
+
+                const keys = {
+                    ArrowLeft: this.index - 1,
+                    ArrowRight: this.index + 1,
+                    Home: 0,
+                    End: this.getVisible().length - 1
+                };
+
+                if (e.key in keys) {
+                    e.preventDefault();
+                    this.goTo(keys[e.key]);
+                }
+            });
+
+            // Swipes are native scrolling; work out which slide settled in view
+            this.list.addEventListener('scroll', utils.debounce(() => {
+                if (!this.isCarousel) return;
+
+                const slides = this.getVisible();
+                const center = this.list.scrollLeft + this.list.clientWidth / 2;
+                let closest = 0;
+                slides.forEach((slide, i) => {
+                    const slideCenter = slide.offsetLeft + slide.offsetWidth / 2;
+                    const best = slides[closest].offsetLeft + slides[closest].offsetWidth / 2;
+                    if (Math.abs(slideCenter - center) < Math.abs(best - center)) closest = i;
+                });
+
+                if (closest !== this.index) {
+                    this.index = closest;
+                    this.updateCarouselState();
+                }
+            }, 100));
+
+            update();
+        },
+
+        setCarousel(enabled) {
+            this.isCarousel = enabled;
+            this.list.classList.toggle('is-carousel', enabled);
+
+            if (enabled) {
+                this.list.setAttribute('role', 'region');
+                this.list.setAttribute('aria-roledescription', 'carousel');
+                this.list.setAttribute('aria-label', templates.message('portfolio.carousel_label'));
+                this.list.setAttribute('tabindex', '0');
+                if (this.controls) this.controls.removeAttribute('hidden');
+                this.goTo(this.index, { announce: false });
+            } else {
+                ['role', 'aria-roledescription', 'aria-label', 'tabindex'].forEach(name => this.list.removeAttribute(name));
+                this.samples.forEach(sample => {
+                    sample.removeAttribute('aria-roledescription');
+                    sample.removeAttribute('aria-label');
+                });
+                if (this.controls) this.controls.setAttribute('hidden', '');
+            }
+        },
+
+        goTo(index, { announce = true } = {}) {
+            const slides = this.getVisible();
+            if (slides.length === 0) return;
+
+            this.index = Math.max(0, Math.min(index, slides.length - 1));
+            if (!this.isCarousel) return;
+
+            const slide = slides[this.index];
+            this.list.scrollTo({
+                left: slide.offsetLeft - (this.list.clientWidth - slide.offsetWidth) / 2,
+                behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth'
+            });
+
+            this.updateCarouselState(announce);
+        },
+
+        updateCarouselState(announce = true) {
+            const slides = this.getVisible();
+
+            slides.forEach((slide, i) => {
+                slide.setAttribute('aria-roledescription', templates.message('portfolio.slide'));
+                slide.setAttribute('aria-label', templates.message('portfolio.slide_label', { index: i + 1, total: slides.length }));
+            });
+
+            if (this.prevButton) this.prevButton.disabled = this.index === 0;
+            if (this.nextButton) this.nextButton.disabled = this.index >= slides.length - 1;
+            if (this.status) {
+                const text = templates.message('portfolio.carousel_status', { index: this.index + 1, total: slides.length });
+                // Only announce navigation the visitor asked for
+                this.status.setAttribute('aria-live', announce ? 'polite' : 'off');
+                this.status.textContent = text;
+            }
+        },
+
+        addDetailButtons() {
+            this.samples.forEach(sample => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-ghost sample-detail-button';
+                button.innerHTML = '<i class="fas fa-magnifying-glass-plus" aria-hidden="true"></i> <span data-i18n="portfolio.view_detail"></span>';
+                i18n.translate(button);
+
+                button.addEventListener('click', () => this.openDetail(sample));
+
+                const footer = document.createElement('div');
+                footer.className = 'sample-actions';
+                footer.appendChild(button);
+                sample.appendChild(footer);
+            });
+
+            this.labelDetailButtons();
+        },
+
+        labelDetailButtons() {
+            this.samples.forEach(sample => {
+                const button = utils.$('.sample-detail-button', sample);
+                const title = utils.$('.sample-header h3', sample);
+                if (button && title) {
+                    button.setAttribute('aria-label', templates.message('portfolio.view_detail_label', { title: title.textContent.trim() }));
+                }
+            });
+        },
+
+        async openDetail(sample) {
+            const modalElement = modal.getElement('audit-detail');
+            if (!modalElement) return;
+
+            this.detailSample = sample;
+            this.renderDetail(modalElement, sample);
+
+            const title = utils.$('.sample-header h3', sample);
+            const badge = utils.$('.sample-badge', sample);
+            const result = await modal.open('audit-detail', {
+                data: {
+                    title: title ? title.textContent.trim() : templates.message('portfolio.detail_title'),
+                    badge: badge ? badge.textContent.trim() : ''
+                }
+            });
+
+            if (result === 'contact') {
+                const contact = utils.$('#contact');
+                if (contact) smoothScroll.scrollToTarget(contact);
+            }
+        },
+
+        // Each problem next to its fix and the reasoning from the sample's
+        // [data-sample-breakdown], then the rollout plan and expected result
+        renderDetail(modalElement, sample) {
+            const body = utils.$('[data-audit-detail-body]', modalElement);
+            if (!body) return;
+
+            body.innerHTML = '';
+
+            const breakdown = utils.$('[data-sample-breakdown]', sample);
+            const columns = [
+                { type: 'before', label: 'portfolio.finding_before', items: utils.$$('.before li', sample) },
+                { type: 'after', label: 'portfolio.finding_after', items: utils.$$('.after li', sample) },
+                { type: 'why', label: 'portfolio.finding_why', items: breakdown ? utils.$$('[data-sample-why] li', breakdown) : [] }
+            ];
+
+            const heading = document.createElement('h4');
+            heading.className = 'audit-findings-title';
+            heading.textContent = templates.message('portfolio.findings_title');
+
+            const findings = document.createElement('ol');
+            findings.className = 'audit-findings';
+
+            columns[0].items.forEach((problem, index) => {
+                const finding = document.createElement('li');
+                finding.className = 'audit-finding';
+
+                columns.forEach(column => {
+                    const source = column.items[index];
+                    if (!source) return;
+
+                    const row = document.createElement('div');
+                    row.className = `audit-finding-${column.type}`;
+
+                    const label = document.createElement('span');
+                    label.className = 'audit-finding-label';
+                    label.textContent = templates.message(column.label);
+
+                    const text = document.createElement('p');
+                    Array.from(source.childNodes).forEach(node => text.appendChild(node.cloneNode(true)));
+
+                    row.append(label, text);
+                    finding.appendChild(row);
+                });
+
+                findings.appendChild(finding);
+            });
+
+            body.append(heading, findings);
+
+            if (breakdown) {
+                Array.from(breakdown.children).forEach(child => {
+                    if (!child.hasAttribute('data-sample-why')) body.appendChild(child.cloneNode(true));
+                });
+            }
+
+            const result = utils.$('.sample-result', sample);
+            if (result) body.appendChild(result.cloneNode(true));
+        }
+    };
+
+    // FAQ Accordion Module
+    // Turns the static .faq-item question/answer pairs into disclosure buttons,
+    // adds a live filter, opens items from deep links like #faq-time-zones and
+    // publishes FAQPage structured data built from the same markup.
+    const faq = {
+        init() {
+            this.container = utils.$('.faq-items');
+            if (!this.container) return;
+
+            this.items = utils.$$('.faq-item', this.container).map((item, index) => this.enhance(item, index)).filter(Boolean);
+            if (this.items.length === 0) return;
+
+            this.searchWrapper = utils.$('[data-faq-search]');
+            this.searchInput = utils.$('#faq-search-input');
+            this.searchStatus = utils.$('#faq-search-status');
+            this.activeQuery = '';
+
+            this.bindEvents();
+            this.injectStructuredData();
+            this.openFromHash();
+        },
+
+        slugify(text) {
+            return `faq-${text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40)}`;
+        },
+
+        // Rebuild one item as heading > button plus a labelled region
+        enhance(item, index) {
+            const heading = utils.$('h3', item);
+            const answer = utils.$('p', item);
+            if (!heading || !answer) return null;
+
+            const question = heading.textContent.trim();
+            const answerText = answer.textContent.trim();
+            item.id = item.id || this.slugify(question);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'faq-question';
+            button.id = `${item.id}-button`;
+            button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', `${item.id}-panel`);
+
+            const label = document.createElement('span');
+            label.className = 'faq-question-text';
+            label.textContent = question;
+
+            // The heading now holds the button, so the label takes over its key
+            if (heading.hasAttribute('data-i18n')) {
+                label.setAttribute('data-i18n', heading.getAttribute('data-i18n'));
+                heading.removeAttribute('data-i18n');
+            }
+
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-chevron-down faq-icon';
+            icon.setAttribute('aria-hidden', 'true');
+
+            button.append(label, icon);
+            heading.textContent = '';
+            heading.appendChild(button);
+
+            const panel = document.createElement('div');
+            panel.className = 'faq-answer';
+            panel.id = `${item.id}-panel`;
+            panel.setAttribute('role', 'region');
+            panel.setAttribute('aria-labelledby', button.id);
+            panel.hidden = true;
+            answer.parentNode.insertBefore(panel, answer);
+            panel.appendChild(answer);
+
+            item.classList.add('is-enhanced');
+
+            return { item, button, label, panel, answer, question, answerText, index };
+        },
+
+        bindEvents() {
+            this.items.forEach(entry => {
+                entry.button.addEventListener('click', () => this.toggle(entry));
+            });
+
+            // Arrow/Home/End move between question buttons
+            this.container.addEventListener('keydown', (e) => {
+                // DOM order, since other modules may reorder the items
+                const visible = this.items
+                    .filter(entry => !entry.item.hidden)
+                    .sort((a, b) => (a.item.compareDocumentPosition(b.item) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+                const current = visible.findIndex(entry => entry.button === document.activeElement);
+                if (current === -1) return;
+
+                let next = null;
+                switch (e.key) {
+                    case 'ArrowDown':
+                        next = visible[(current + 1) % visible.length];
+                        break;
+                    case 'ArrowUp':
+                        next = visible[(current - 1 + visible.length) % visible.length];
+                        break;
+                    case 'Home':
+                        next = visible[0];
+                        break;
+                    case 'End':
+                        next = visible[visible.length - 1];
+                        break;
+                }
+
+                if (next) {
+                    e.preventDefault();
+                    next.button.focus();
+                }
+            });
+
+            if (this.searchWrapper && this.searchInput) {
+                this.searchWrapper.removeAttribute('hidden');
+                this.searchInput.addEventListener('input', utils.debounce(() => {
+                    this.filter(this.searchInput.value);
+                }, 150));
+            }
+
+            // In-page links to a question open it; smoothScroll does the scrolling
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest('a[href^="#faq-"]');
+                if (!link) return;
+
+                const entry = this.find(link.getAttribute('href').slice(1));
+                if (entry) this.open(entry);
+            });
+
+            window.addEventListener('hashchange', () => this.openFromHash());
+            document.addEventListener('i18n:change', () => this.relocalize());
+        },
+
+        // The labels and answers were just retranslated: search and publish the new copy
+        relocalize() {
+            this.items.forEach(entry => {
+                entry.question = entry.label.textContent.trim();
+                entry.answerText = entry.answer.textContent.trim();
+            });
+
+            this.filter(this.searchInput ? this.searchInput.value : '');
+            this.injectStructuredData();
+        },
+
+        find(id) {
+            return this.items.find(entry => entry.item.id === id) || null;
+        },
+
+        toggle(entry) {
+            if (entry.button.getAttribute('aria-expanded') === 'true') {
+                this.close(entry);
+            } else {
+                this.open(entry);
+                // Keep the address shareable without triggering a jump
+                if (window.history && window.history.replaceState) {
+                    window.history.replaceState(null, '', `#${entry.item.id}`);
+                }
+            }
+        },
+
+        open(entry) {
+            // data-faq-single on the container makes it a one-at-a-time accordion
+            if (this.container.hasAttribute('data-faq-single')) {
+                this.items.forEach(other => {
+                    if (other !== entry) this.close(other);
+                });
+            }
+
+            entry.button.setAttribute('aria-expanded', 'true');
+            entry.panel.hidden = false;
+            entry.item.classList.add('is-open');
+        },
+
+        close(entry) {
+            entry.button.setAttribute('aria-expanded', 'false');
+            entry.panel.hidden = true;
+            entry.item.classList.remove('is-open');
+        },
+
+        openFromHash() {
+            const entry = this.find(window.location.hash.slice(1));
+            if (!entry) return;
+
+            // A filter could be hiding it
+            if (entry.item.hidden && this.searchInput) {
+                this.searchInput.value = '';
+                this.filter('');
+            }
+
+            this.open(entry);
+            smoothScroll.scrollToTarget(entry.item);
+        },
+
+        filter(rawQuery) {
+            const query = rawQuery.trim().toLowerCase();
+            let matches = 0;
+
+            // Searching opens matching answers; remember what the visitor had
+            // open so clearing the search puts it back
+            if (query && !this.activeQuery) {
+                this.items.forEach(entry => {
+                    entry.wasOpen = entry.button.getAttribute('aria-expanded') === 'true';
+                });
+            } else if (!query && this.activeQuery) {
+                this.items.forEach(entry => {
+                    if (!entry.wasOpen) this.close(entry);
+                });
+                this.items.forEach(entry => {
+                    if (entry.wasOpen) this.open(entry);
+                });
+            }
+            this.activeQuery = query;
+
+            this.items.forEach(entry => {
+                const isMatch = !query ||
+                    entry.question.toLowerCase().includes(query) ||
+                    entry.answerText.toLowerCase().includes(query);
+
+                entry.item.hidden = !isMatch;
+                this.highlight(entry.label, entry.question, query);
+                this.highlight(entry.answer, entry.answerText, query);
+
+                if (isMatch) {
+                    matches += 1;
+                    // Show where the match is when it's in the answer
+                    if (query && entry.answerText.toLowerCase().includes(query)) {
+                        this.open(entry);
+                    }
+                }
+            });
+
+            this.matchCount = matches;
+            this.updateStatus();
+        },
+
+        updateStatus() {
+            if (!this.searchStatus) return;
+
+            this.searchStatus.textContent = !this.activeQuery
+                ? ''
+                : this.matchCount === 0
+                    ? templates.message('faq.no_results')
+                    : i18n.plural('faq.results', this.matchCount);
+        },
+
+        // Rebuild plain text with <mark> around each match
+        highlight(element, text, query) {
+            element.textContent = '';
+            if (!query) {
+                element.textContent = text;
+                return;
+            }
+
+            const lower = text.toLowerCase();
+            let position = 0;
+            let found = lower.indexOf(query);
+
+            while (found !== -1) {
+                element.appendChild(document.createTextNode(text.slice(position, found)));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(found, found + query.length);
+                element.appendChild(mark);
+                position = found + query.length;
+                found = lower.indexOf(query, position);
+            }
+            element.appendChild(document.createTextNode(text.slice(position)));
+        },
+
+        injectStructuredData() {
+            const script = utils.$('#faq-structured-data') || document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'faq-structured-data';
+            script.textContent = JSON.stringify({
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                mainEntity: this.items.map(entry => ({
+                    '@type': 'Question',
+                    name: entry.question,
+                    acceptedAnswer: {
+                        '@type': 'Answer',
+                        text: entry.answerText
+                    }
+                }))
+            });
+            if (!script.isConnected) document.head.appendChild(script);
+        }
+    };
+
+    // Cookie Consent Module
+    // Stores the visitor's choice per category with the policy version it was
+    // given under; bumping `version` asks everyone again. Global Privacy
+    // Control and Do Not Track count as a refusal of the optional categories
+    // until the visitor opts in themselves from the preferences dialog.
+    const consent = {
+        version: 1,
+        storageKey: 'armanleads:consent',
+        categories: ['essential', 'analytics', 'marketing'],
+        // Cookie prefixes set by the third-party sinks, cleared on withdrawal
+        cookiePrefixes: {
+            analytics: ['_ga', '_gid', '_gat'],
+            marketing: ['_fbp', '_fbc']
+        },
+
+        init() {
+            this.banner = utils.$('[data-consent-banner]');
+            this.signal = this.hasPrivacySignal();
+            this.record = this.read();
+
+            this.bindEvents();
+
+            if (this.record) {
+                this.activateScripts();
+            } else if (this.signal) {
+                this.save({ analytics: false, marketing: false }, 'signal');
+            } else {
+                this.showBanner();
+            }
+        },
+
+        bindEvents() {
+            document.addEventListener('click', (e) => {
+                const manage = e.target.closest('[data-consent-manage]');
+                if (manage) {
+                    e.preventDefault();
+                    this.openPreferences();
+                    return;
+                }
+
+                const action = e.target.closest('[data-consent-action]');
+                if (action && this.banner && this.banner.contains(action)) {
+                    this.handleAction(action.getAttribute('data-consent-action'));
+                }
+            });
+        },
+
+        hasPrivacySignal() {
+            return navigator.globalPrivacyControl === true ||
+                navigator.doNotTrack === '1' ||
+                window.doNotTrack === '1';
+        },
+
+        read() {
+            try {
+                const record = JSON.parse(localStorage.getItem(this.storageKey));
+                if (!record || record.version !== this.version) return null;
+                return record;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        allows(category) {
+            if (category === 'essential') return true;
+            return Boolean(this.record && this.record.categories[category]);
+        },
+
+        save(choices, source) {
+            const previous = this.record;
+
+            this.record = {
+                version: this.version,
+                date: new Date().toISOString(),
+                source,
+                categories: {
+                    essential: true,
+                    analytics: Boolean(choices.analytics),
+                    marketing: Boolean(choices.marketing)
+                }
+            };
+
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.record));
+            } catch (error) {
+                // Private mode: the choice still applies for this page view
+            }
+
+            this.categories.forEach(category => {
+                if (previous && previous.categories[category] && !this.allows(category)) {
+                    this.clearCookies(category);
+                }
+            });
+
+            this.hideBanner();
+            this.activateScripts();
+
+            document.dispatchEvent(new CustomEvent('consent:change', {
+                detail: { categories: Object.assign({}, this.record.categories), source }
+            }));
+        },
+
+        handleAction(action) {
+            switch (action) {
+                case 'accept':
+                    this.save({ analytics: true, marketing: true }, 'banner');
+                    break;
+                case 'reject':
+                    this.save({ analytics: false, marketing: false }, 'banner');
+                    break;
+                case 'manage':
+                    this.openPreferences();
+                    break;
+            }
+        },
+
+        async openPreferences() {
+            const modalElement = modal.getElement('cookie-preferences');
+            if (!modalElement) return;
+
+            utils.$$('[data-consent-category]', modalElement).forEach(input => {
+                const category = input.getAttribute('data-consent-category');
+                input.checked = category === 'essential' || this.allows(category);
+            });
+
+            const signalNote = utils.$('[data-consent-signal]', modalElement);
+            if (signalNote) signalNote.hidden = !this.signal;
+
+            const choice = await modal.open('cookie-preferences');
+            const read = category => {
+                const input = utils.$(`[data-consent-category="${category}"]`, modalElement);
+                return Boolean(input && input.checked);
+            };
+
+            if (choice === 'accept') {
+                this.save({ analytics: true, marketing: true }, 'preferences');
+            } else if (choice === 'reject') {
+                this.save({ analytics: false, marketing: false }, 'preferences');
+            } else if (choice === 'save') {
+                this.save({ analytics: read('analytics'), marketing: read('marketing') }, 'preferences');
+            }
+        },
+
+        showBanner() {
+            if (!this.banner) return;
+            this.banner.removeAttribute('hidden');
+            document.body.classList.add('has-consent-banner');
+        },
+
+        hideBanner() {
+            if (!this.banner) return;
+            this.banner.setAttribute('hidden', '');
+            document.body.classList.remove('has-consent-banner');
+        },
+
+        // <script type="text/plain" data-consent="analytics" data-src="...">
+        // stays inert until its category is allowed
+        activateScripts() {
+            utils.$$('script[type="text/plain"][data-consent]').forEach(placeholder => {
+                if (!this.allows(placeholder.getAttribute('data-consent'))) return;
+
+                const script = document.createElement('script');
+                Array.from(placeholder.attributes).forEach(attribute => {
+                    if (!['type', 'data-consent', 'data-src'].includes(attribute.name)) {
+                        script.setAttribute(attribute.name, attribute.value);
+                    }
+                });
+
+                if (placeholder.hasAttribute('data-src')) {
+                    script.src = placeholder.getAttribute('data-src');
+                } else {
+                    script.textContent = placeholder.textContent;
+                }
+
+                placeholder.replaceWith(script);
+            });
+        },
+
+        clearCookies(category) {
+            const prefixes = this.cookiePrefixes[category] || [];
+            const domains = ['', window.location.hostname, `.${window.location.hostname.replace(/^www\./, '')}`];
+
+            document.cookie.split(';').forEach(cookie => {
+                const name = cookie.split('=')[0].trim();
+                if (!prefixes.some(prefix => name.startsWith(prefix))) return;
+
+                domains.forEach(domain => {
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+                });
+            });
+        }
+    };
+
+    // Experiments Module
+    // A/B tests declared on the element they change: data-experiment="id"
+    // plus either data-variant-<name>="text" attributes (the original content
+    // is "control") or an entry for the id in #experiments-config:
+    //   { "id": { "weights": { "control": 1, "b": 1 },
+    //             "variants": { "b": { "text": "...", "order": [1, 0],
+    //                                  "attributes": { "data-label-idle": "..." } } } } }
+    // Buckets stick in localStorage; ?exp=id:variant forces one for QA.
+    // The <head> snippet hides [data-experiment] until assignment (max 1s).
+    // If translated or personalized copy later replaces a tested text, the
+    // assignment is marked contaminated and stops counting.
+    const experiments = {
+        storageKey: 'armanleads:experiments',
+
+        init() {
+            this.config = this.readConfig();
+            this.assignments = {};
+            this.stored = this.readStored();
+            this.forced = this.readForced();
+
+            try {
+                utils.$$('[data-experiment]').forEach(element => this.run(element));
+                this.writeStored();
+            } finally {
+                document.documentElement.classList.remove('experiments-pending');
+            }
+
+            // Both forms ship as mailto hand-offs, so opening the email app
+            // counts too; the goal name keeps it apart from a confirmed send
+            ['form:success', 'form:handoff', 'booking:booked', 'booking:handoff'].forEach(name => {
+                document.addEventListener(name, () => this.convert(name));
+            });
+
+            ['i18n:change', 'personalization:change'].forEach(name => {
+                document.addEventListener(name, () => this.recheck());
+            });
+
+            formHandler.payloadEnrichers.push((formData) => {
+                const summary = Object.keys(this.assignments)
+                    .filter(id => !this.assignments[id].contaminated)
+                    .map(id => `${id}:${this.assignments[id].variant}`)
+                    .join(', ');
+                if (summary) formData.set('_experiments', summary);
+            });
+        },
+
+        readConfig() {
+            const script = utils.$('#experiments-config');
+            if (!script) return {};
+
+            try {
+                return JSON.parse(script.textContent);
+            } catch (error) {
+                console.error('Invalid experiments config:', error);
+                return {};
+            }
+        },
+
+        readStored() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            } catch (error) {
+                return {};
+            }
+        },
+
+        writeStored() {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.stored));
+            } catch (error) {
+                // Without storage the bucket is only kept for this page view
+            }
+        },
+
+        // ?exp=hero-headline:outcome,pricing-order:control
+        readForced() {
+            const forced = {};
+            (new URLSearchParams(window.location.search).get('exp') || '').split(',').forEach(pair => {
+                const [id, variant] = pair.split(':').map(part => part.trim());
+                if (id && variant) forced[id] = variant;
+            });
+            return forced;
+        },
+
+        getVariants(element, id) {
+            const variants = { control: {} };
+
+            Array.from(element.attributes).forEach(attribute => {
+                if (attribute.name.startsWith('data-variant-')) {
+                    variants[attribute.name.slice('data-variant-'.length)] = { text: attribute.value };
+                }
+            });
+
+            const config = this.config[id] || {};
+            return Object.assign(variants, config.variants || {});
+        },
+
+        // Text variants are written in English and would fight the page's own
+        // copy swaps, so visitors seeing translated or personalized copy sit out
+        isEligible(element, variants) {
+            if (!this.changesText(variants)) return true;
+
+            if (i18n.lang !== 'en') return false;
+            return !personalization.current ||
+                !Object.keys(personalization.defaults).some(selector => element.matches(selector));
+        },
+
+        changesText(variants) {
+            return Object.values(variants).some(variant => variant.text !== undefined);
+        },
+
+        pick(id, names) {
+            const weights = (this.config[id] || {}).weights || {};
+            const total = names.reduce((sum, name) => sum + (weights[name] !== undefined ? Number(weights[name]) : 1), 0);
+            let roll = Math.random() * total;
+
+            return names.find(name => {
+                roll -= weights[name] !== undefined ? Number(weights[name]) : 1;
+                return roll < 0;
+            }) || names[0];
+        },
+
+        run(element) {
+            const id = element.getAttribute('data-experiment');
+            if (!id || this.assignments[id]) return;
+
+            const variants = this.getVariants(element, id);
+            const names = Object.keys(variants);
+            const forced = names.includes(this.forced[id]) ? this.forced[id] : null;
+
+            if (!forced && !this.isEligible(element, variants)) return;
+
+            let variant = forced;
+            if (!variant) {
+                variant = names.includes(this.stored[id]) ? this.stored[id] : this.pick(id, names);
+                this.stored[id] = variant;
+            }
+
+            this.apply(element, variants[variant]);
+            element.setAttribute('data-experiment-variant', variant);
+            this.assignments[id] = {
+                variant,
+                forced: Boolean(forced),
+                exposed: false,
+                converted: false,
+                contaminated: false,
+                element,
+                variants
+            };
+            this.observeExposure(element, id);
+        },
+
+        apply(element, changes = {}) {
+            if (changes.text !== undefined) {
+                element.textContent = changes.text;
+            }
+
+            if (Array.isArray(changes.order)) {
+                const children = Array.from(element.children);
+                changes.order.forEach(index => {
+                    if (children[index]) element.appendChild(children[index]);
+                });
+            }
+
+            if (changes.attributes) {
+                Object.keys(changes.attributes).forEach(name => {
+                    element.setAttribute(name, changes.attributes[name]);
+                });
+
+                // Buttons rendered from the template registry pick up new labels
+                if (element.hasAttribute('data-button-state')) {
+                    templates.renderButton(element, element.getAttribute('data-button-state'));
+                }
+            }
+        },
+
+        // After a language or vertical change, put the variant's text back while
+        // the visitor is still eligible; otherwise the copy they see is no
+        // longer the variant, so the assignment is excluded from then on
+        recheck() {
+            Object.keys(this.assignments).forEach(id => {
+                const assignment = this.assignments[id];
+                if (assignment.contaminated || !this.changesText(assignment.variants)) return;
+
+                if (assignment.forced || this.isEligible(assignment.element, assignment.variants)) {
+                    const { text } = assignment.variants[assignment.variant];
+                    if (text !== undefined) assignment.element.textContent = text;
+                } else {
+                    assignment.contaminated = true;
+                    assignment.element.setAttribute('data-experiment-contaminated', '');
+                }
+            });
+        },
+
+        // Exposure counts once the changed element is actually on screen: half
+        // of it, or a quarter of the viewport for blocks taller than that
+        // (stacked pricing cards on a phone never reach 50% of themselves)
+        observeExposure(element, id) {
+            const observer = new IntersectionObserver((entries) => {
+                const seen = entries.some(entry => entry.isIntersecting && (
+                    entry.intersectionRatio >= 0.5 || entry.intersectionRect.height >= window.innerHeight * 0.25
+                ));
+                if (!seen) return;
+
+                observer.disconnect();
+                if (!this.assignments[id].contaminated) this.track('exposure', id);
+            }, { threshold: [0, 0.1, 0.25, 0.5] });
+
+            observer.observe(element);
+        },
+
+        convert(goal) {
+            Object.keys(this.assignments).forEach(id => {
+                const assignment = this.assignments[id];
+                if (!assignment.exposed || assignment.converted || assignment.contaminated) return;
+
+                assignment.converted = true;
+                this.track('conversion', id, { goal });
+            });
+        },
+
+        track(type, id, extra = {}) {
+            const assignment = this.assignments[id];
+            if (type === 'exposure') assignment.exposed = true;
+
+            document.dispatchEvent(new CustomEvent(`experiment:${type}`, {
+                detail: Object.assign({ experiment: id, variant: assignment.variant, forced: assignment.forced }, extra)
+            }));
+        },
+
+        getAssignment(id) {
+            return this.assignments[id] ? this.assignments[id].variant : null;
+        }
+    };
+
+    // Analytics Module
+    // Listens to the events the other modules already dispatch (modal:open,
+    // form:success, section:view, ...) plus CTA clicks, and forwards them to
+    // whichever sinks are configured on <body>. Payloads never carry form
+    // values, only event names and non-identifying context.
+    const analytics = {
+        sinks: {},
+        enabled: [],
+        seenSections: new Set(),
+        // Never forwarded, whatever a caller passes in
+        blockedProps: /e-?mail|name|phone|message|address|website/i,
+
+        registerSink(name, sink) {
+            this.sinks[name] = sink;
+        },
+
+        init() {
+            this.config = document.body.dataset;
+            this.debug = this.readDebugFlag();
+
+            this.applyConsent();
+            document.addEventListener('consent:change', () => this.applyConsent());
+
+            this.bindEvents();
+        },
+
+        // Sinks load only once their consent category is allowed, and stop
+        // receiving events as soon as it's withdrawn
+        applyConsent() {
+            Object.keys(this.sinks).forEach(name => {
+                const sink = this.sinks[name];
+                if (!sink.isConfigured(this.config, this)) return;
+
+                if (consent.allows(sink.category)) {
+                    this.enable(name);
+                } else {
+                    this.disable(name);
+                }
+            });
+        },
+
+        // ?analytics_debug=1 turns the console sink on for the rest of the session
+        readDebugFlag() {
+            const param = new URLSearchParams(window.location.search).get('analytics_debug');
+
+            try {
+                if (param !== null) {
+                    if (param === '0') {
+                        sessionStorage.removeItem('armanleads:analytics-debug');
+                    } else {
+                        sessionStorage.setItem('armanleads:analytics-debug', '1');
+                    }
+                }
+                return sessionStorage.getItem('armanleads:analytics-debug') === '1';
+            } catch (error) {
+                return param !== null && param !== '0';
+            }
+        },
+
+        enable(name) {
+            const sink = this.sinks[name];
+            if (!sink || this.enabled.includes(sink)) return;
+
+            this.enabled.push(sink);
+            sink.ready = Promise.resolve()
+                .then(() => sink.load && sink.load(this.config))
+                .catch(error => {
+                    console.warn(`Analytics sink "${name}" failed to load:`, error);
+                    this.enabled = this.enabled.filter(item => item !== sink);
+                });
+        },
+
+        disable(name) {
+            const sink = this.sinks[name];
+            if (!sink || !this.enabled.includes(sink)) return;
+
+            this.enabled = this.enabled.filter(item => item !== sink);
+            if (sink.revoke) sink.revoke();
+        },
+
+        bindEvents() {
+            document.addEventListener('modal:open', (e) => {
+                this.track('modal_open', { modal: e.detail.id });
+            });
+
+            document.addEventListener('form:success', (e) => {
+                this.track('lead', { form: e.detail.formId, queued: e.detail.queued });
+            });
+
+            document.addEventListener('form:handoff', (e) => {
+                this.track('lead_handoff', { form: e.detail.formId });
+            });
+
+            document.addEventListener('form:error', (e) => {
+                this.track('form_error', { form: e.detail.formId, reason: e.detail.reason, status: e.detail.status });
+            });
+
+            document.addEventListener('booking:booked', (e) => {
+                this.track('booking', { queued: e.detail.queued, time_zone: e.detail.timeZone });
+            });
+
+            document.addEventListener('booking:handoff', (e) => {
+                this.track('booking_handoff', { time_zone: e.detail.timeZone });
+            });
+
+            ['exposure', 'conversion'].forEach(type => {
+                document.addEventListener(`experiment:${type}`, (e) => {
+                    this.track(`experiment_${type}`, e.detail);
+                });
+            });
+
+            document.addEventListener('scroll:depth', (e) => {
+                this.track('scroll_depth', { percent: e.detail.percent });
+            });
+
+            document.addEventListener('section:view', (e) => {
+                if (this.seenSections.has(e.detail.id)) return;
+                this.seenSections.add(e.detail.id);
+                this.track('section_view', { section: e.detail.id });
+            });
+
+            document.addEventListener('click', (e) => {
+                const cta = e.target.closest('[data-track], .btn, [data-modal-trigger], a[href^="https://wa.me"], a[href^="mailto:"], a[href^="tel:"]');
+                if (!cta || cta.closest('form')) return;
+
+                this.trackClick(cta);
+            });
+        },
+
+        trackClick(cta) {
+            const section = cta.closest('section[id], header, footer');
+            const href = cta.getAttribute('href') || '';
+            let channel = 'page';
+
+            if (href.startsWith('https://wa.me')) channel = 'whatsapp';
+            else if (href.startsWith('mailto:')) channel = 'email';
+            else if (href.startsWith('tel:')) channel = 'phone';
+            else if (cta.hasAttribute('data-modal-trigger')) channel = 'modal';
+
+            this.track('cta_click', {
+                label: cta.getAttribute('data-track') || cta.textContent.trim().replace(/\s+/g, ' ').slice(0, 60),
+                location: section ? (section.id || section.tagName.toLowerCase()) : 'page',
+                channel
+            });
+        },
+
+        sanitize(props = {}) {
+            const clean = {};
+            Object.keys(props).forEach(key => {
+                const value = props[key];
+                if (this.blockedProps.test(key) || value === undefined || value === null) return;
+                if (['string', 'number', 'boolean'].includes(typeof value)) clean[key] = value;
+            });
+            return clean;
+        },
+
+        track(name, props = {}) {
+            const event = {
+                name,
+                props: this.sanitize(props),
+                page: window.location.pathname,
+                timestamp: Date.now()
+            };
+
+            document.dispatchEvent(new CustomEvent('analytics:event', { detail: event }));
+
+            this.enabled.forEach(sink => {
+                sink.ready.then(() => {
+                    if (!this.enabled.includes(sink)) return;
+                    try {
+                        sink.send(event, this.config);
+                    } catch (error) {
+                        console.warn('Analytics sink error:', error);
+                    }
+                });
+            });
         }
     };
 
-    // Header Scroll Effect
+    // Google Analytics 4 via gtag.js; data-ga4-id="G-XXXXXXX"
+    analytics.registerSink('ga4', {
+        category: 'analytics',
+        eventNames: { lead: 'generate_lead', booking: 'schedule_call' },
+
+        isConfigured: config => Boolean(config.ga4Id),
+
+        async load(config) {
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function () { window.dataLayer.push(arguments); };
+            window.gtag('consent', 'update', { analytics_storage: 'granted' });
+            if (this.loaded) return;
+
+            this.loaded = true;
+            window.gtag('js', new Date());
+            window.gtag('config', config.ga4Id, { anonymize_ip: true });
+
+            await utils.loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(config.ga4Id)}`);
+        },
+
+        send(event) {
+            window.gtag('event', this.eventNames[event.name] || event.name, event.props);
+        },
+
+        revoke() {
+            window.gtag('consent', 'update', { analytics_storage: 'denied' });
+        }
+    });
+
+    // Meta Pixel; data-meta-pixel-id="1234567890". Only conversions and CTA
+    // clicks are sent, Meta gets no scroll or section data.
+    analytics.registerSink('meta', {
+        category: 'marketing',
+        standardEvents: { lead: 'Lead', booking: 'Schedule' },
+        customEvents: { cta_click: 'CTAClick', modal_open: 'OpenModal' },
+
+        isConfigured: config => Boolean(config.metaPixelId),
+
+        async load(config) {
+            if (!window.fbq) {
+                const fbq = function () {
+                    if (fbq.callMethod) {
+                        fbq.callMethod.apply(fbq, arguments);
+                    } else {
+                        fbq.queue.push(arguments);
+                    }
+                };
+                fbq.push = fbq;
+                fbq.loaded = true;
+                fbq.version = '2.0';
+                fbq.queue = [];
+                window.fbq = window._fbq = fbq;
+            }
+
+            window.fbq('consent', 'grant');
+            if (this.loaded) return;
+
+            this.loaded = true;
+            window.fbq('init', config.metaPixelId);
+            window.fbq('track', 'PageView');
+
+            await utils.loadScript('https://connect.facebook.net/en_US/fbevents.js');
+        },
+
+        send(event) {
+            if (this.standardEvents[event.name]) {
+                window.fbq('track', this.standardEvents[event.name], event.props);
+            } else if (this.customEvents[event.name]) {
+                window.fbq('trackCustom', this.customEvents[event.name], event.props);
+            }
+        },
+
+        revoke() {
+            window.fbq('consent', 'revoke');
+        }
+    });
+
+    // Plausible (cookieless); data-plausible-domain="armanleads.com"
+    analytics.registerSink('plausible', {
+        category: 'analytics',
+        isConfigured: config => Boolean(config.plausibleDomain),
+
+        async load(config) {
+            window.plausible = window.plausible || function () {
+                (window.plausible.q = window.plausible.q || []).push(arguments);
+            };
+
+            await utils.loadScript(config.plausibleSrc || 'https://plausible.io/js/script.js', {
+                'data-domain': config.plausibleDomain
+            });
+        },
+
+        send(event) {
+            window.plausible(event.name, { props: event.props });
+        }
+    });
+
+    // First-party collector; events are batched and sent with sendBeacon so
+    // the last batch survives the page being closed. data-analytics-endpoint="/collect"
+    analytics.registerSink('beacon', {
+        category: 'analytics',
+        batch: [],
+        batchSize: 10,
+        flushDelay: 5000,
+
+        isConfigured: config => Boolean(config.analyticsEndpoint),
+
+        load(config) {
+            this.endpoint = config.analyticsEndpoint;
+            if (this.listening) return;
+
+            this.listening = true;
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            window.addEventListener('pagehide', () => this.flush());
+        },
+
+        // Events collected before withdrawal are dropped, not sent
+        revoke() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.batch = [];
+        },
+
+        send(event) {
+            this.batch.push(event);
+
+            if (this.batch.length >= this.batchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.flushDelay);
+            }
+        },
+
+        flush() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.batch.length === 0) return;
+
+            const body = JSON.stringify({ events: this.batch.splice(0) });
+            const blob = new Blob([body], { type: 'application/json' });
+
+            if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+            // Beacon unavailable or its queue is full
+            fetch(this.endpoint, {
+                method: 'POST',
+                body,
+                headers: { 'Content-Type': 'application/json' },
+                keepalive: true
+            }).catch(() => {});
+        }
+    });
+
+    // Local debug output, on with ?analytics_debug=1
+    analytics.registerSink('console', {
+        category: 'essential',
+        isConfigured: (config, owner) => owner.debug,
+
+        send(event) {
+            console.info(`[analytics] ${event.name}`, event.props);
+        }
+    });
+
+    // Header Effects Module
+    // One rAF-batched scroll loop drives the header's scrolled/hidden state,
+    // the reading-progress bar, back-to-top and the mobile CTA bar. Each frame
+    // reads layout first, then writes, so scrolling never forces extra reflows.
     const headerEffects = {
+        scrolledOffset: 100,
+        // Ignore tiny direction changes (trackpad jitter, iOS bounce)
+        hideDelta: 8,
+
         init() {
             this.header = utils.$('.site-header');
             if (!this.header) return;
 
+            this.hero = utils.$('#hero');
+            this.progress = utils.$('[data-reading-progress]');
+            this.backToTop = utils.$('[data-back-to-top]');
+            this.mobileCta = utils.$('[data-mobile-cta]');
+            // The CTA bar would only duplicate these while they're on screen
+            this.ctaBlockers = utils.$$('#contact, .footer');
+
             this.lastScrollY = window.scrollY;
+            this.ticking = false;
+
             this.bindEvents();
+            this.update();
         },
 
         bindEvents() {
-            window.addEventListener('scroll', utils.throttle(() => {
-                this.handleScroll();
-            }, 16)); // ~60fps
+            const requestUpdate = () => this.requestUpdate();
+
+            window.addEventListener('scroll', requestUpdate, { passive: true });
+            window.addEventListener('resize', requestUpdate);
+            window.addEventListener('load', requestUpdate);
+
+            // Never leave keyboard focus inside an off-screen header
+            this.header.addEventListener('focusin', () => {
+                this.header.classList.remove('is-hidden');
+            });
         },
 
-        handleScroll() {
-            const currentScrollY = window.scrollY;
+        requestUpdate() {
+            if (this.ticking) return;
+            this.ticking = true;
 
-            if (currentScrollY > 100) {
-                this.header.classList.add('scrolled');
-            } else {
-                this.header.classList.remove('scrolled');
+            window.requestAnimationFrame(() => {
+                this.ticking = false;
+                this.update();
+            });
+        },
+
+        update() {
+            const currentScrollY = Math.max(window.scrollY, 0);
+            const viewportHeight = window.innerHeight;
+            const scrollable = document.documentElement.scrollHeight - viewportHeight;
+            const headerHeight = this.header.offsetHeight;
+            const pastHero = this.hero
+                ? this.hero.getBoundingClientRect().bottom <= headerHeight
+                : currentScrollY > viewportHeight;
+            const ctaBlocked = this.ctaBlockers.some(element => {
+                const rect = element.getBoundingClientRect();
+                return rect.top < viewportHeight && rect.bottom > 0;
+            });
+
+            this.updateHeader(currentScrollY, headerHeight);
+
+            if (this.progress) {
+                const progress = scrollable > 0 ? Math.min(currentScrollY / scrollable, 1) : 0;
+                this.progress.style.setProperty('--reading-progress', progress.toFixed(4));
             }
 
+            if (this.backToTop) {
+                this.backToTop.classList.toggle('is-visible', pastHero);
+            }
+
+            if (this.mobileCta) {
+                this.mobileCta.classList.toggle('is-visible', pastHero && !ctaBlocked && !state.mobileNavOpen);
+            }
+        },
+
+        updateHeader(currentScrollY, headerHeight) {
+            this.header.classList.toggle('scrolled', currentScrollY > this.scrolledOffset);
+
+            const delta = currentScrollY - this.lastScrollY;
+            if (Math.abs(delta) < this.hideDelta) return;
             this.lastScrollY = currentScrollY;
+
+            const shouldHide = delta > 0 &&
+                currentScrollY > headerHeight &&
+                !state.mobileNavOpen &&
+                !this.header.contains(document.activeElement);
+
+            this.header.classList.toggle('is-hidden', shouldHide);
         }
     };
 
     // Initialize all modules when DOM is ready
-    function init() {
+    async function init() {
         // Feature detection
         if (!('querySelector' in document) || !('addEventListener' in window)) {
             return; // Graceful degradation for very old browsers
@@ -795,11 +6052,28 @@
 
         // Initialize modules
         preloader.init();
+        theme.init();
+        // Everything after this renders and formats in the visitor's language
+        await i18n.init();
+        consent.init();
+        analytics.init();
         mobileNav.init();
         modal.init();
+        booking.init();
         formHandler.init();
+        attribution.init();
+        validator.init();
+        submissionQueue.init();
         scrollSpy.init();
         smoothScroll.init();
+        faq.init();
+        currency.init();
+        roiCalculator.init();
+        // Before personalization, so it hears the initial ?vertical= change
+        portfolio.init();
+        personalization.init();
+        experiments.init();
+        comparison.init();
         headerEffects.init();
 
         // Set initial ARIA states